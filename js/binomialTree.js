@@ -0,0 +1,136 @@
+// Cox-Ross-Rubinstein Binomial Tree Pricing for American-Style Options
+// Exposes the same pricing methods as BlackScholes so it can be swapped in as a pricing model.
+// Discrete dividends ([{ time (years), amount }]) are modelled in the tree itself: each node's price carries the
+// present value of the dividends still to go ex, so the price drops on the ex-date and early exercise is checked
+// at the cum-dividend nodes just before it.
+
+class BinomialTree {
+    constructor(steps = 200) {
+        this.steps = steps;
+        this.supportsDiscreteDividends = true; // Takes the unadjusted spot and the dividend schedule
+    }
+
+    // Intrinsic value of exercising immediately
+    calculateExerciseValue(S, K, isCall = true) {
+        return isCall ? Math.max(S - K, 0) : Math.max(K - S, 0);
+    }
+
+    // Present value at time t of the dividends going ex after t and on or before expiry T
+    calculateDividendValue(dividends, r, t, T) {
+        return dividends.reduce((sum, dividend) => {
+            if (dividend.time > t && dividend.time <= T) {
+                return sum + dividend.amount * Math.exp(-r * (dividend.time - t));
+            }
+            return sum;
+        }, 0);
+    }
+
+    // Roll back the tree, allowing early exercise at every node unless american is false.
+    // The tree is built on the spot net of dividends, which recombines; the share price at a node adds back
+    // the dividends still to come. Delta, gamma and theta are read off the first two steps of the tree.
+    evaluateTree(S, K, r, T, sigma, isCall = true, q = 0, dividends = [], american = true) {
+        const steps = Math.max(Math.round(this.steps), 3);
+        const dt = T / steps;
+        const u = Math.exp(sigma * Math.sqrt(dt));
+        const d = 1 / u;
+        const p = (Math.exp((r - q) * dt) - d) / (u - d);
+        const discount = Math.exp(-r * dt);
+        const escrowed = Math.max(S - this.calculateDividendValue(dividends, r, 0, T), 0.01);
+
+        // Option values at expiry; node i has i up-moves
+        const values = [];
+        for (let i = 0; i <= steps; i++) {
+            values.push(this.calculateExerciseValue(escrowed * Math.pow(u, 2 * i - steps), K, isCall));
+        }
+
+        let stepOne = null;
+        let stepTwo = null;
+
+        for (let step = steps - 1; step >= 0; step--) {
+            const pendingDividends = this.calculateDividendValue(dividends, r, step * dt, T);
+            for (let i = 0; i <= step; i++) {
+                const continuation = discount * (p * values[i + 1] + (1 - p) * values[i]);
+                const sharePrice = escrowed * Math.pow(u, 2 * i - step) + pendingDividends;
+                values[i] = american ?
+                    Math.max(continuation, this.calculateExerciseValue(sharePrice, K, isCall)) :
+                    continuation;
+            }
+
+            if (step === 2) stepTwo = values.slice(0, 3);
+            if (step === 1) stepOne = values.slice(0, 2);
+        }
+
+        // Nodes at the same step carry the same dividend value, so price differences are in the escrowed spot
+        const price = values[0];
+        const delta = (stepOne[1] - stepOne[0]) / (escrowed * u - escrowed * d);
+
+        const upDelta = (stepTwo[2] - stepTwo[1]) / (escrowed * u * u - escrowed);
+        const downDelta = (stepTwo[1] - stepTwo[0]) / (escrowed - escrowed * d * d);
+        const gamma = (upDelta - downDelta) / (0.5 * (escrowed * u * u - escrowed * d * d));
+
+        const theta = (stepTwo[1] - price) / (2 * dt) / 365; // Daily theta
+
+        return { price, delta, gamma, theta };
+    }
+
+    // Calculate American option price
+    calculatePrice(S, K, r, T, sigma, isCall = true, q = 0, dividends = []) {
+        if (T <= 0 || sigma <= 0) {
+            return this.calculateExerciseValue(S, K, isCall);
+        }
+        return this.evaluateTree(S, K, r, T, sigma, isCall, q, dividends).price;
+    }
+
+    // European price on the same tree (no early exercise), to isolate the early exercise premium
+    calculateEuropeanPrice(S, K, r, T, sigma, isCall = true, q = 0, dividends = []) {
+        if (T <= 0 || sigma <= 0) {
+            return this.calculateExerciseValue(S, K, isCall);
+        }
+        return this.evaluateTree(S, K, r, T, sigma, isCall, q, dividends, false).price;
+    }
+
+    // Calculate American Call Option Price
+    calculateCallPrice(S, K, r, T, sigma, q = 0, dividends = []) {
+        return this.calculatePrice(S, K, r, T, sigma, true, q, dividends);
+    }
+
+    // Calculate American Put Option Price
+    calculatePutPrice(S, K, r, T, sigma, q = 0, dividends = []) {
+        return this.calculatePrice(S, K, r, T, sigma, false, q, dividends);
+    }
+
+    // Calculate all option metrics by finite differences on the tree
+    calculateAllMetrics(S, K, r, T, sigma, isCall = true, q = 0, dividends = []) {
+        if (T <= 0 || sigma <= 0) {
+            const inTheMoney = isCall ? S > K : S < K;
+            return {
+                price: this.calculateExerciseValue(S, K, isCall),
+                delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+                gamma: 0,
+                theta: 0,
+                vega: 0,
+                rho: 0
+            };
+        }
+
+        const { price, delta, gamma, theta } = this.evaluateTree(S, K, r, T, sigma, isCall, q, dividends);
+
+        // Bump-and-reprice for vega (per vol point) and rho (per 1% rate change)
+        const volBump = Math.min(0.01, sigma / 2);
+        const vega = (this.calculatePrice(S, K, r, T, sigma + volBump, isCall, q, dividends) -
+            this.calculatePrice(S, K, r, T, sigma - volBump, isCall, q, dividends)) / (2 * volBump) / 100;
+
+        const rateBump = 0.0001;
+        const rho = (this.calculatePrice(S, K, r + rateBump, T, sigma, isCall, q, dividends) -
+            this.calculatePrice(S, K, r - rateBump, T, sigma, isCall, q, dividends)) / (2 * rateBump) / 100;
+
+        return { price, delta, gamma, theta, vega, rho };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BinomialTree;
+} else {
+    window.BinomialTree = BinomialTree;
+}
@@ -0,0 +1,329 @@
+// Black-Scholes Options Pricing Model and Greeks Calculations
+
+class BlackScholes {
+    constructor() {
+        this.SQRT_2PI = Math.sqrt(2 * Math.PI);
+    }
+
+    // Standard normal probability density function
+    normalPDF(x) {
+        return Math.exp(-0.5 * x * x) / this.SQRT_2PI;
+    }
+
+    // Cumulative standard normal distribution
+    normalCDF(x) {
+        // Approximation using error function
+        const a1 =  0.254829592;
+        const a2 = -0.284496736;
+        const a3 =  1.421413741;
+        const a4 = -1.453152027;
+        const a5 =  1.061405429;
+        const p  =  0.3275911;
+
+        const sign = x < 0 ? -1 : 1;
+        x = Math.abs(x) / Math.sqrt(2.0);
+
+        const t = 1.0 / (1.0 + p * x);
+        const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+
+        return 0.5 * (1.0 + sign * y);
+    }
+
+    // Calculate d1 parameter (q = continuous dividend yield, Merton model)
+    calculateD1(S, K, r, T, sigma, q = 0) {
+        return (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+    }
+
+    // Calculate d2 parameter
+    calculateD2(d1, sigma, T) {
+        return d1 - sigma * Math.sqrt(T);
+    }
+
+    // Calculate Call Option Price
+    calculateCallPrice(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) {
+            return Math.max(S - K, 0);
+        }
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+
+        const callPrice = S * Math.exp(-q * T) * this.normalCDF(d1) - K * Math.exp(-r * T) * this.normalCDF(d2);
+        return Math.max(callPrice, 0);
+    }
+
+    // Calculate Put Option Price
+    calculatePutPrice(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) {
+            return Math.max(K - S, 0);
+        }
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+
+        const putPrice = K * Math.exp(-r * T) * this.normalCDF(-d2) - S * Math.exp(-q * T) * this.normalCDF(-d1);
+        return Math.max(putPrice, 0);
+    }
+
+    // Calculate Delta (price sensitivity to underlying)
+    calculateDelta(S, K, r, T, sigma, isCall = true, q = 0) {
+        if (T <= 0) {
+            if (isCall) {
+                return S > K ? 1 : 0;
+            } else {
+                return S < K ? -1 : 0;
+            }
+        }
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const dividendDiscount = Math.exp(-q * T);
+        
+        if (isCall) {
+            return dividendDiscount * this.normalCDF(d1);
+        } else {
+            return dividendDiscount * (this.normalCDF(d1) - 1);
+        }
+    }
+
+    // Calculate Gamma (delta sensitivity to underlying)
+    calculateGamma(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        return Math.exp(-q * T) * this.normalPDF(d1) / (S * sigma * Math.sqrt(T));
+    }
+
+    // Calculate Theta (time decay)
+    calculateTheta(S, K, r, T, sigma, isCall = true, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+        const dividendDiscount = Math.exp(-q * T);
+
+        const term1 = -S * dividendDiscount * this.normalPDF(d1) * sigma / (2 * Math.sqrt(T));
+        
+        if (isCall) {
+            const term2 = -r * K * Math.exp(-r * T) * this.normalCDF(d2);
+            const term3 = q * S * dividendDiscount * this.normalCDF(d1);
+            return (term1 + term2 + term3) / 365; // Convert to daily theta
+        } else {
+            const term2 = r * K * Math.exp(-r * T) * this.normalCDF(-d2);
+            const term3 = -q * S * dividendDiscount * this.normalCDF(-d1);
+            return (term1 + term2 + term3) / 365; // Convert to daily theta
+        }
+    }
+
+    // Calculate Vega (volatility sensitivity)
+    calculateVega(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        return S * Math.exp(-q * T) * this.normalPDF(d1) * Math.sqrt(T) / 100; // Divide by 100 for percentage change
+    }
+
+    // Calculate Rho (interest rate sensitivity)
+    calculateRho(S, K, r, T, sigma, isCall = true, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+
+        if (isCall) {
+            return K * T * Math.exp(-r * T) * this.normalCDF(d2) / 100;
+        } else {
+            return -K * T * Math.exp(-r * T) * this.normalCDF(-d2) / 100;
+        }
+    }
+
+    // Calculate Vanna (delta sensitivity to volatility, per 1 vol point)
+    calculateVanna(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+        return -Math.exp(-q * T) * this.normalPDF(d1) * d2 / sigma / 100;
+    }
+
+    // Calculate Charm (delta decay, change in delta per day)
+    calculateCharm(S, K, r, T, sigma, isCall = true, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+        const dividendDiscount = Math.exp(-q * T);
+        const sqrtT = Math.sqrt(T);
+
+        const common = dividendDiscount * this.normalPDF(d1) *
+            (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
+
+        if (isCall) {
+            return (q * dividendDiscount * this.normalCDF(d1) - common) / 365;
+        } else {
+            return (-q * dividendDiscount * this.normalCDF(-d1) - common) / 365;
+        }
+    }
+
+    // Calculate Vomma (vega sensitivity to volatility, per 1 vol point squared)
+    calculateVomma(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+        return S * Math.exp(-q * T) * this.normalPDF(d1) * Math.sqrt(T) * d1 * d2 / sigma / 10000;
+    }
+
+    // Calculate Speed (gamma sensitivity to underlying)
+    calculateSpeed(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const gamma = this.calculateGamma(S, K, r, T, sigma, q);
+        return -gamma / S * (d1 / (sigma * Math.sqrt(T)) + 1);
+    }
+
+    // Calculate Color (gamma decay, change in gamma per day)
+    calculateColor(S, K, r, T, sigma, q = 0) {
+        if (T <= 0) return 0;
+
+        const d1 = this.calculateD1(S, K, r, T, sigma, q);
+        const d2 = this.calculateD2(d1, sigma, T);
+        const sigmaSqrtT = sigma * Math.sqrt(T);
+
+        // Sign follows theta and charm: the change as one day passes
+        const color = Math.exp(-q * T) * this.normalPDF(d1) / (2 * S * T * sigmaSqrtT) *
+            (2 * q * T + 1 + d1 * (2 * (r - q) * T - d2 * sigmaSqrtT) / sigmaSqrtT);
+        return color / 365;
+    }
+
+    // Calculate all option metrics at once
+    calculateAllMetrics(S, K, r, T, sigma, isCall = true, q = 0) {
+        const price = isCall ? 
+            this.calculateCallPrice(S, K, r, T, sigma, q) : 
+            this.calculatePutPrice(S, K, r, T, sigma, q);
+
+        return {
+            price: price,
+            delta: this.calculateDelta(S, K, r, T, sigma, isCall, q),
+            gamma: this.calculateGamma(S, K, r, T, sigma, q),
+            theta: this.calculateTheta(S, K, r, T, sigma, isCall, q),
+            vega: this.calculateVega(S, K, r, T, sigma, q),
+            rho: this.calculateRho(S, K, r, T, sigma, isCall, q),
+            vanna: this.calculateVanna(S, K, r, T, sigma, q),
+            charm: this.calculateCharm(S, K, r, T, sigma, isCall, q),
+            vomma: this.calculateVomma(S, K, r, T, sigma, q),
+            speed: this.calculateSpeed(S, K, r, T, sigma, q),
+            color: this.calculateColor(S, K, r, T, sigma, q)
+        };
+    }
+
+    // Calculate intrinsic value
+    calculateIntrinsicValue(S, K, isCall = true) {
+        if (isCall) {
+            return Math.max(S - K, 0);
+        } else {
+            return Math.max(K - S, 0);
+        }
+    }
+
+    // Calculate time value
+    calculateTimeValue(S, K, r, T, sigma, isCall = true, q = 0) {
+        const theoreticalPrice = isCall ? 
+            this.calculateCallPrice(S, K, r, T, sigma, q) : 
+            this.calculatePutPrice(S, K, r, T, sigma, q);
+        
+        const intrinsicValue = this.calculateIntrinsicValue(S, K, isCall);
+        
+        return Math.max(theoreticalPrice - intrinsicValue, 0);
+    }
+
+    // Arbitrage bounds on an option price: intrinsic (forward) value below, discounted spot/strike above
+    calculatePriceBounds(S, K, r, T, isCall = true, q = 0) {
+        const discountedSpot = S * Math.exp(-q * T);
+        const discountedStrike = K * Math.exp(-r * T);
+
+        if (isCall) {
+            return { lower: Math.max(discountedSpot - discountedStrike, 0), upper: discountedSpot };
+        }
+        return { lower: Math.max(discountedStrike - discountedSpot, 0), upper: discountedStrike };
+    }
+
+    // Calculate implied volatility using Newton-Raphson, falling back to bisection when Newton stalls.
+    // Returns { iv, iterations, converged, reason, method }; iv is null when no volatility fits the price.
+    calculateImpliedVolatility(S, K, r, T, marketPrice, isCall = true, q = 0, maxIterations = 100, tolerance = 0.0001) {
+        const result = (iv, iterations, converged, reason, method = null) => ({ iv, iterations, converged, reason, method });
+
+        if (T <= 0) return result(null, 0, false, 'expired');
+        if (!(S > 0) || !(K > 0) || !(marketPrice >= 0)) return result(null, 0, false, 'invalid-input');
+
+        const { lower, upper } = this.calculatePriceBounds(S, K, r, T, isCall, q);
+        if (marketPrice < lower - tolerance) return result(null, 0, false, 'below-intrinsic');
+        if (marketPrice >= upper) return result(null, 0, false, 'above-upper-bound');
+        if (marketPrice <= lower + tolerance) return result(null, 0, false, 'no-time-value');
+
+        const minVol = 0.0001;
+        const maxVol = 5;
+        const priceAt = sigma => isCall ?
+            this.calculateCallPrice(S, K, r, T, sigma, q) :
+            this.calculatePutPrice(S, K, r, T, sigma, q);
+
+        // Newton-Raphson from the Brenner-Subrahmanyam at-the-money approximation
+        let sigma = Math.min(Math.max(Math.sqrt(2 * Math.PI / T) * marketPrice / S, 0.05), 2);
+        let iterations = 0;
+
+        while (iterations < maxIterations) {
+            iterations++;
+            const priceDiff = priceAt(sigma) - marketPrice;
+            if (Math.abs(priceDiff) < tolerance) return result(sigma, iterations, true, 'converged', 'newton');
+
+            const vega = this.calculateVega(S, K, r, T, sigma, q) * 100; // Convert back for calculation
+            if (vega < 1e-8) break; // Flat price curve - Newton cannot make progress
+
+            const nextSigma = sigma - priceDiff / vega;
+            if (!(nextSigma > minVol && nextSigma < maxVol)) break; // Step left the search range
+            sigma = nextSigma;
+        }
+
+        // Bisection on a bracket that is guaranteed to contain the root
+        let low = minVol;
+        let high = maxVol;
+        if (priceAt(low) - marketPrice > 0) return result(null, iterations, false, 'out-of-range', 'bisection');
+        if (priceAt(high) - marketPrice < 0) return result(null, iterations, false, 'out-of-range', 'bisection');
+
+        while (iterations < maxIterations * 2) {
+            iterations++;
+            const mid = (low + high) / 2;
+            const priceDiff = priceAt(mid) - marketPrice;
+            if (Math.abs(priceDiff) < tolerance || (high - low) / 2 < 1e-8) {
+                return result(mid, iterations, true, 'converged', 'bisection');
+            }
+            if (priceDiff > 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        return result((low + high) / 2, iterations, false, 'max-iterations', 'bisection');
+    }
+
+    // Escrowed-dividend adjustment: strip the present value of discrete cash dividends
+    // going ex before expiry from the spot price. dividends = [{ time (years), amount }]
+    calculateEscrowedSpot(S, r, T, dividends = []) {
+        const presentValue = dividends.reduce((sum, dividend) => {
+            if (dividend.time > 0 && dividend.time <= T) {
+                return sum + dividend.amount * Math.exp(-r * dividend.time);
+            }
+            return sum;
+        }, 0);
+
+        return Math.max(S - presentValue, 0.01);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlackScholes;
+} else {
+    window.BlackScholes = BlackScholes;
+}
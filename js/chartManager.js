@@ -9,6 +9,15 @@ class ChartManager {
         this.chartCanvas = null;
         this.currentData = null;
         this.showCurrentValue = true;
+        this.mode = 'pl';
+        this.modes = {
+            pl: { title: 'Profit/Loss Chart', axis: 'Profit/Loss ($)' },
+            delta: { title: 'Position Delta vs Price', axis: 'Delta' },
+            gamma: { title: 'Position Gamma vs Price', axis: 'Gamma' },
+            theta: { title: 'Position Theta vs Price', axis: 'Theta (per day)' },
+            vega: { title: 'Position Vega vs Price', axis: 'Vega (per vol point)' }
+        };
+        this.seriesColors = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#14B8A6'];
     }
 
     /**
@@ -69,7 +78,7 @@ class ChartManager {
                         callbacks: {
                             label: (context) => {
                                 const value = context.parsed.y;
-                                const formatted = this.formatCurrency(value);
+                                const formatted = this.formatValue(value);
                                 return `${context.dataset.label}: ${formatted}`;
                             },
                             title: (contexts) => {
@@ -109,7 +118,7 @@ class ChartManager {
                             color: 'rgba(0, 0, 0, 0.1)'
                         },
                         ticks: {
-                            callback: (value) => this.formatCurrency(value)
+                            callback: (value) => this.formatValue(value)
                         }
                     }
                 },
@@ -125,20 +134,18 @@ class ChartManager {
                 onHover: (event, elements) => {
                     event.native.target.style.cursor = elements.length > 0 ? 'crosshair' : 'default';
                 }
-            }
+            },
+            // Registered on this chart only, so the other charts on the page draw no zero line
+            plugins: [this.createZeroLinePlugin()]
         });
-
-        // Add zero line
-        this.addZeroLine();
     }
 
     /**
-     * Add horizontal line at y = 0
+     * Plugin drawing a horizontal line at y = 0
+     * @returns {Object} - Chart.js inline plugin
      */
-    addZeroLine() {
-        if (!this.chart) return;
-
-        const zeroLinePlugin = {
+    createZeroLinePlugin() {
+        return {
             id: 'zeroLine',
             beforeDraw: (chart) => {
                 const ctx = chart.ctx;
@@ -160,8 +167,6 @@ class ChartManager {
                 }
             }
         };
-
-        Chart.register(zeroLinePlugin);
     }
 
     /**
@@ -171,6 +176,7 @@ class ChartManager {
     updateChart(data) {
         if (!this.chart || !data) return;
 
+        this.setMode('pl');
         this.currentData = data;
         
         const datasets = [];
@@ -261,6 +267,78 @@ class ChartManager {
         this.chart.update('none'); // Fast update without animation
     }
 
+    /**
+     * Switch what the chart plots
+     * @param {string} mode - 'pl' or a greek ('delta', 'gamma', 'theta', 'vega')
+     */
+    setMode(mode) {
+        if (!this.modes[mode]) return;
+        this.mode = mode;
+
+        if (!this.chart) return;
+        this.chart.options.plugins.title.text = this.modes[mode].title;
+        this.chart.options.scales.y.title.text = this.modes[mode].axis;
+    }
+
+    /**
+     * Plot a position greek across the underlying price, one line per valuation date
+     * @param {Object} data - { greek, stockPrices, series: [{ label, values }], currentStockPrice }
+     */
+    updateGreeksChart(data) {
+        if (!this.chart || !data) return;
+
+        this.setMode(data.greek);
+
+        const datasets = data.series.map((series, index) => ({
+            label: series.label,
+            data: data.stockPrices.map((price, i) => ({
+                x: price,
+                y: series.values[i] || 0
+            })),
+            borderColor: this.seriesColors[index % this.seriesColors.length],
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.1,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 6
+        }));
+
+        // Add current stock price line
+        if (data.currentStockPrice) {
+            const allValues = data.series.flatMap(series => series.values);
+            datasets.push({
+                label: 'Current Price',
+                data: [
+                    { x: data.currentStockPrice, y: Math.min(...allValues, 0) },
+                    { x: data.currentStockPrice, y: Math.max(...allValues, 0) }
+                ],
+                borderColor: '#EF4444',
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 0,
+                showLine: true,
+                fill: false,
+                tension: 0
+            });
+        }
+
+        this.chart.data.datasets = datasets;
+        this.chart.update('none');
+    }
+
+    /**
+     * Format a y-axis value for the current mode
+     * @param {number} value - Value to format
+     * @returns {string} - Formatted value
+     */
+    formatValue(value) {
+        if (this.mode === 'pl') {
+            return this.formatCurrency(value);
+        }
+        return this.mode === 'gamma' ? value.toFixed(4) : value.toFixed(3);
+    }
+
     /**
      * Toggle between showing current value and expiration only
      * @param {boolean} showCurrent - Whether to show current value line
@@ -420,4 +498,6 @@ class ChartManager {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ChartManager;
+} else {
+    window.ChartManager = ChartManager;
 }
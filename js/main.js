@@ -3,41 +3,360 @@
 class OptionsCalculator {
     constructor() {
         this.strategies = new OptionsStrategies();
+        this.volatilitySmile = new VolatilitySmile();
+        this.monteCarlo = new MonteCarloSimulator(this.strategies);
+        this.portfolio = new Portfolio(this.strategies);
+        this.selectedPositionId = null;
+        this.setupStore = new SetupStore(this.getLocalStorage());
+        this.templateStore = new TemplateStore(this.strategies, this.getLocalStorage());
+        this.optionChain = new OptionChain();
+        this.optionSymbols = new OptionSymbols();
+        this.marginCalculator = new MarginCalculator(this.strategies);
+        this.strategyFinder = new StrategyFinder(this.strategies, this.optionChain);
+        this.finderResults = [];
+        this.finderSort = { key: 'returnOnRisk', descending: true };
+        this.tradeAdjustment = new TradeAdjustment(this.strategies, this.getLocalStorage());
+        this.adjustmentPlan = { closes: [], opens: [] };
+        this.adjustChart = null;
+        this.chartManager = new ChartManager();
+        this.greeksChart = new ChartManager();
+        this.heatmap = null;
         this.chart = null;
+        this.smileChart = null;
+        this.histogramChart = null;
         this.currentLegs = [];
         
         this.init();
     }
 
     init() {
+        this.templateStore.registerAll();
+        this.populateStrategySelect();
         this.setupEventListeners();
+        this.applyPricingModel();
         this.updateStrategyDisplay();
+        this.loadStrategyTemplate();
         this.updateLegsDisplay();
         this.setupChart();
+        this.setupSmileChart();
+        this.setupHistogramChart();
+        this.setupAdjustChart();
+        this.restoreAdjustment();
+        this.greeksChart.initialize('greeksChart');
+        this.renderPortfolio();
+        this.renderSavedSetups();
+        this.renderUserTemplates();
+        this.restoreFromHash();
     }
 
     setupEventListeners() {
-        // Strategy selection change
+        // Strategy selection change - templates are starting points for the leg builder
         document.getElementById('strategy').addEventListener('change', () => {
             this.updateStrategyDisplay();
+            this.loadStrategyTemplate();
             this.updateLegsDisplay();
             this.calculateAndUpdate();
         });
 
         // Market parameter changes
-        ['stockPrice', 'volatility', 'riskFreeRate', 'daysToExpiration'].forEach(id => {
+        ['stockPrice', 'volatility', 'riskFreeRate', 'daysToExpiration', 'dividendYield'].forEach(id => {
             document.getElementById(id).addEventListener('input', () => {
                 this.debounce(() => {
-                    this.updateLegsDisplay(); // Update default strikes when stock price changes
+                    // Re-place template strikes and expirations; custom legs are left alone.
+                    // Delta-placed strikes also move with volatility and carry.
+                    const movesStrikes = id === 'stockPrice' || id === 'daysToExpiration' ||
+                        this.strategies.usesDeltaStrikes(document.getElementById('strategy').value);
+                    if (movesStrikes && !this.isCustomMode()) {
+                        this.loadStrategyTemplate();
+                        this.updateLegsDisplay();
+                    }
                     this.calculateAndUpdate();
                 }, 300);
             });
         });
 
+        document.getElementById('marginShortPuts').addEventListener('change', () => {
+            this.updateMargin();
+        });
+
+        // Fee model changes shift every P&L figure
+        ['feePerContract', 'feePerOrder', 'feeExchange', 'feeSpread', 'feeSlippage'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.debounce(() => this.calculateAndUpdate(), 300);
+            });
+        });
+        document.getElementById('feeIncludeClosing').addEventListener('change', () => {
+            this.calculateAndUpdate();
+        });
+
+        // Pricing model selection
+        ['pricingModel', 'treeSteps'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.applyPricingModel();
+                this.calculateAndUpdate();
+            });
+        });
+
+        // Discrete dividend schedule
+        document.getElementById('add-dividend-btn').addEventListener('click', () => {
+            this.addDividendRow();
+        });
+
+        // Volatility smile
+        document.getElementById('add-smile-point-btn').addEventListener('click', () => {
+            this.addSmilePointRow();
+        });
+        ['smileEnabled', 'smileModel'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateVolatilitySmile();
+                this.calculateAndUpdate();
+            });
+        });
+
+        // Add a new leg to the position
+        document.getElementById('add-leg-btn').addEventListener('click', () => {
+            const currentPrice = this.getMarketParams().currentPrice;
+            this.currentLegs.push(this.strategies.createLeg(currentPrice));
+            this.switchToCustomMode();
+            this.updateLegsDisplay();
+            this.calculateAndUpdate();
+        });
+
         // Calculate button
         document.getElementById('calculate-btn').addEventListener('click', () => {
             this.calculateAndUpdate();
         });
+
+        // Time slices: days-forward slider and evenly spaced overlays
+        document.getElementById('daysForward').addEventListener('input', () => {
+            this.updateDaysForwardLabel();
+            this.debounce(() => this.calculateAndUpdate(), 100);
+        });
+        ['showTimeSlices', 'sliceInterval'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.calculateAndUpdate();
+            });
+        });
+
+        // Greeks profile chart
+        ['greeksProfileGreek', 'greeksProfileDays'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.calculateAndUpdate();
+            });
+        });
+
+        // P&L heatmap is only computed while its panel is open
+        document.getElementById('heatmap-panel').addEventListener('toggle', () => {
+            this.updateHeatmap();
+        });
+        ['heatmapPriceStep', 'heatmapDateStep', 'heatmapMode'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateHeatmap();
+            });
+        });
+        document.getElementById('export-heatmap-btn').addEventListener('click', () => {
+            this.exportHeatmap();
+        });
+
+        // Stress test is also only computed while its panel is open
+        document.getElementById('stress-panel').addEventListener('toggle', () => {
+            this.updateStressTest();
+        });
+        ['stressPriceRange', 'stressPriceStep', 'stressVolRange', 'stressVolStep', 'stressDays', 'stressLossLimit'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateStressTest();
+            });
+        });
+
+        // Portfolio of saved positions
+        document.getElementById('add-position-btn').addEventListener('click', () => {
+            this.addCurrentPosition();
+        });
+        document.getElementById('update-position-btn').addEventListener('click', () => {
+            this.updateSelectedPosition();
+        });
+        ['benchmarkSymbol', 'benchmarkPrice'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderPortfolio();
+            });
+        });
+        document.getElementById('portfolio-container').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-position-action]');
+            if (!button) return;
+
+            const id = parseInt(button.dataset.positionId);
+            if (button.dataset.positionAction === 'load') {
+                this.loadPosition(id);
+            } else if (button.dataset.positionAction === 'remove') {
+                this.removePosition(id);
+            }
+        });
+
+        // Saved setups and shareable links
+        document.getElementById('save-setup-btn').addEventListener('click', () => {
+            this.saveSetup();
+        });
+        document.getElementById('copy-link-btn').addEventListener('click', () => {
+            this.copySetupLink();
+        });
+        document.getElementById('saved-setups-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-setup-action]');
+            if (!button) return;
+
+            const name = button.dataset.setupName;
+            if (button.dataset.setupAction === 'load') {
+                this.applyLoadResult(this.setupStore.loadSetup(name), `Loaded "${name}".`);
+            } else if (button.dataset.setupAction === 'delete') {
+                this.setupStore.deleteSetup(name);
+                this.renderSavedSetups();
+                this.showSetupStatus(`Deleted "${name}".`);
+            }
+        });
+
+        // User-defined strategy templates
+        document.getElementById('save-template-btn').addEventListener('click', () => {
+            this.saveLegsAsTemplate();
+        });
+        document.getElementById('save-template-json-btn').addEventListener('click', () => {
+            this.saveTemplateJson();
+        });
+        document.getElementById('user-templates-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-action]');
+            if (!button) return;
+
+            const key = button.dataset.templateKey;
+            const template = this.strategies.getStrategy(key);
+            if (!template) return;
+            if (button.dataset.templateAction === 'edit') {
+                document.getElementById('templateJson').value = JSON.stringify({
+                    name: template.name,
+                    description: template.description,
+                    legs: template.legs
+                }, null, 2);
+            } else if (button.dataset.templateAction === 'delete') {
+                this.deleteTemplate(key, template.name);
+            }
+        });
+        window.addEventListener('hashchange', () => {
+            this.restoreFromHash();
+        });
+
+        // Legs as OCC / shorthand text
+        document.getElementById('load-legs-text-btn').addEventListener('click', () => {
+            this.loadLegsFromText();
+        });
+        document.getElementById('copy-legs-text-btn').addEventListener('click', () => {
+            this.copyLegsAsText();
+        });
+
+        // Option chain import and picking quotes into legs
+        document.getElementById('chainFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => this.importChain(text), () => {
+                this.renderChainReport({ quotes: [], errors: [{ line: null, message: 'The file could not be read.' }] });
+            });
+        });
+        document.getElementById('import-chain-btn').addEventListener('click', () => {
+            this.importChain(document.getElementById('chainText').value);
+        });
+        ['chainExpiry', 'chainType', 'chainPremiumBasis'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderChain();
+            });
+        });
+        document.getElementById('chain-container').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chain-quote]');
+            if (button) this.fillLegFromQuote(parseInt(button.dataset.chainQuote));
+        });
+
+        // Monte Carlo simulation runs on demand since it is much slower than the curves
+        document.getElementById('run-simulation-btn').addEventListener('click', () => {
+            this.runMonteCarlo();
+        });
+
+        // Adjustments and rolls against a recorded position
+        document.getElementById('record-position-btn').addEventListener('click', () => {
+            this.recordPosition();
+        });
+        document.getElementById('apply-adjustment-btn').addEventListener('click', () => {
+            this.applyAdjustment();
+        });
+        document.getElementById('clear-adjustment-btn').addEventListener('click', () => {
+            this.clearAdjustment();
+        });
+        document.getElementById('add-adjust-leg-btn').addEventListener('click', () => {
+            const currentPrice = this.getMarketParams().currentPrice;
+            this.adjustmentPlan.opens.push({ ...this.strategies.createLeg(currentPrice), premium: null });
+            this.renderAdjustment();
+        });
+        document.getElementById('adjust-panel').addEventListener('toggle', () => {
+            this.renderAdjustment();
+        });
+        document.getElementById('adjust-close-container').addEventListener('input', (e) => {
+            const input = e.target.closest('[data-close-index]');
+            if (!input) return;
+            const close = this.adjustmentPlan.closes[parseInt(input.dataset.closeIndex)];
+            const value = parseFloat(input.value);
+            if (input.dataset.field === 'quantity') {
+                close.quantity = Math.max(value || 0, 0);
+            } else {
+                close.price = value >= 0 ? value : null;
+            }
+            this.updateAdjustmentSummary();
+        });
+        document.getElementById('adjust-close-container').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-roll-leg]');
+            if (button) this.rollLeg(parseInt(button.dataset.rollLeg));
+        });
+        ['input', 'change'].forEach(eventName => {
+            document.getElementById('adjust-open-container').addEventListener(eventName, (e) => {
+                const input = e.target.closest('[data-open-index]');
+                if (!input) return;
+                const leg = this.adjustmentPlan.opens[parseInt(input.dataset.openIndex)];
+                const field = input.dataset.field;
+                const value = parseFloat(input.value);
+                if (field === 'action' || field === 'type') {
+                    leg[field] = input.value;
+                } else if (field === 'daysToExpiration') {
+                    if (value >= 0) {
+                        leg.daysToExpiration = value;
+                    } else {
+                        delete leg.daysToExpiration;
+                    }
+                } else if (field === 'premium') {
+                    leg.premium = value >= 0 ? value : null;
+                } else {
+                    leg[field] = value || 0;
+                }
+                this.updateAdjustmentSummary();
+            });
+        });
+        document.getElementById('adjust-open-container').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-open]');
+            if (!button) return;
+            this.adjustmentPlan.opens.splice(parseInt(button.dataset.removeOpen), 1);
+            this.renderAdjustment();
+        });
+
+        // Strategy finder: run on demand, sort by clicking a column header, load a row into the calculator
+        document.getElementById('run-finder-btn').addEventListener('click', () => {
+            this.runStrategyFinder();
+        });
+        document.getElementById('finder-container').addEventListener('click', (e) => {
+            const header = e.target.closest('[data-finder-sort]');
+            if (header) {
+                const key = header.dataset.finderSort;
+                this.finderSort = {
+                    key: key,
+                    descending: this.finderSort.key === key ? !this.finderSort.descending : key !== 'name'
+                };
+                this.renderFinderResults();
+                return;
+            }
+            const button = e.target.closest('[data-finder-load]');
+            if (button) this.loadFinderCandidate(parseInt(button.dataset.finderLoad));
+        });
     }
 
     updateStrategyDisplay() {
@@ -49,13 +368,13 @@ class OptionsCalculator {
             descriptionDiv.innerHTML = `
                 <div class="mb-2">
                     <span class="inline-block px-2 py-1 bg-blue-100 text-blue-800 text-xs font-semibold rounded-full mr-2">
-                        ${strategy.complexity}
+                        ${this.escapeHtml(strategy.complexity)}
                     </span>
                     <span class="inline-block px-2 py-1 bg-${this.getRiskColor(strategy.riskLevel)}-100 text-${this.getRiskColor(strategy.riskLevel)}-800 text-xs font-semibold rounded-full">
-                        ${strategy.riskLevel} Risk
+                        ${this.escapeHtml(strategy.riskLevel)} Risk
                     </span>
                 </div>
-                <p>${strategy.description}</p>
+                <p>${this.escapeHtml(strategy.description)}</p>
             `;
         }
     }
@@ -69,48 +388,223 @@ class OptionsCalculator {
         }
     }
 
-    updateLegsDisplay() {
-        const strategyKey = document.getElementById('strategy').value;
+    applyPricingModel() {
+        const modelKey = document.getElementById('pricingModel').value;
+        const steps = parseInt(document.getElementById('treeSteps').value) || 200;
+
+        this.strategies.pricingModels['binomial'].steps = Math.min(Math.max(steps, 10), 1000);
+        this.strategies.setPricingModel(modelKey);
+        document.getElementById('tree-steps-field').classList.toggle('hidden', modelKey !== 'binomial');
+
+        // Portfolio positions are valued with the same model
+        if (this.portfolio) this.renderPortfolio();
+    }
+
+    addDividendRow(daysToExDate = '', amount = '') {
+        const container = document.getElementById('dividends-container');
+        const row = document.createElement('div');
+        row.className = 'dividend-row grid grid-cols-5 gap-2 mb-2';
+        row.innerHTML = `
+            <input type="number" class="dividend-days col-span-2 p-2 border border-gray-300 rounded input-focus" 
+                   value="${daysToExDate}" min="0" placeholder="Days to ex-date">
+            <input type="number" class="dividend-amount col-span-2 p-2 border border-gray-300 rounded input-focus" 
+                   value="${amount}" step="0.01" min="0" placeholder="Amount ($)">
+            <button class="remove-dividend-btn text-xs font-medium text-red-600 hover:text-red-800">Remove</button>
+        `;
+
+        row.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.debounce(() => this.calculateAndUpdate(), 300);
+            });
+        });
+        row.querySelector('.remove-dividend-btn').addEventListener('click', () => {
+            row.remove();
+            this.calculateAndUpdate();
+        });
+
+        container.appendChild(row);
+    }
+
+    // Read the discrete dividend schedule, ignoring incomplete rows
+    getDividendSchedule() {
+        return Array.from(document.querySelectorAll('.dividend-row'))
+            .map(row => ({
+                daysToExDate: parseFloat(row.querySelector('.dividend-days').value),
+                amount: parseFloat(row.querySelector('.dividend-amount').value)
+            }))
+            .filter(dividend => dividend.daysToExDate >= 0 && dividend.amount > 0);
+    }
+
+    addSmilePointRow(strike = '', volatility = '') {
+        const container = document.getElementById('smile-points-container');
+        const row = document.createElement('div');
+        row.className = 'smile-point-row grid grid-cols-5 gap-2 mb-2';
+        row.innerHTML = `
+            <input type="number" class="smile-strike col-span-2 p-2 border border-gray-300 rounded input-focus" 
+                   value="${strike}" step="0.01" min="0" placeholder="Strike ($)">
+            <input type="number" class="smile-volatility col-span-2 p-2 border border-gray-300 rounded input-focus" 
+                   value="${volatility}" step="0.1" min="0" placeholder="IV (%)">
+            <button class="remove-smile-point-btn text-xs font-medium text-red-600 hover:text-red-800">Remove</button>
+        `;
+
+        row.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.debounce(() => {
+                    this.updateVolatilitySmile();
+                    this.calculateAndUpdate();
+                }, 300);
+            });
+        });
+        row.querySelector('.remove-smile-point-btn').addEventListener('click', () => {
+            row.remove();
+            this.updateVolatilitySmile();
+            this.calculateAndUpdate();
+        });
+
+        container.appendChild(row);
+    }
+
+    // Refit the smile from the entered quotes, centred on the current stock price. Only called when the quotes
+    // or smile settings change, so strikes keep their IVs as the stock price moves (sticky-strike).
+    updateVolatilitySmile() {
+        const points = Array.from(document.querySelectorAll('.smile-point-row')).map(row => ({
+            strike: parseFloat(row.querySelector('.smile-strike').value),
+            volatility: parseFloat(row.querySelector('.smile-volatility').value) / 100
+        }));
         const currentPrice = parseFloat(document.getElementById('stockPrice').value) || 100;
-        const strategy = this.strategies.setDefaultStrikes(strategyKey, currentPrice);
-        
+
+        this.volatilitySmile.model = document.getElementById('smileModel').value;
+        this.volatilitySmile.setPoints(points, currentPrice);
+        this.updateSmileChart();
+    }
+
+    isSmileActive() {
+        return document.getElementById('smileEnabled').checked && this.volatilitySmile.isActive();
+    }
+
+    isCustomMode() {
+        return document.getElementById('strategy').value === 'custom';
+    }
+
+    // Any structural edit turns the selected template into a custom position
+    switchToCustomMode() {
+        if (this.isCustomMode()) return;
+        document.getElementById('strategy').value = 'custom';
+        this.updateStrategyDisplay();
+    }
+
+    // Replace the current legs with the selected template's legs
+    loadStrategyTemplate() {
+        if (this.isCustomMode()) return;
+
+        const strategyKey = document.getElementById('strategy').value;
+        this.currentLegs = this.strategies.getTemplateLegs(strategyKey, this.getMarketParams());
+    }
+
+    // Built-in templates first, then the user's own, with Custom last; keeps the current selection
+    populateStrategySelect() {
+        const select = document.getElementById('strategy');
+        const selected = select.value;
+        const option = (key, strategy) => `<option value="${this.escapeHtml(key)}">${this.escapeHtml(strategy.name)}</option>`;
+
+        const builtIn = this.strategies.builtInStrategyKeys.filter(key => key !== 'custom');
+        const userTemplates = this.templateStore.listTemplates();
+        select.innerHTML = builtIn.map(key => option(key, this.strategies.getStrategy(key))).join('') +
+            (userTemplates.length > 0 ?
+                `<optgroup label="My Templates">${userTemplates.map(entry => option(entry.key, entry.template)).join('')}</optgroup>` :
+                '') +
+            option('custom', this.strategies.getStrategy('custom'));
+
+        if (selected && this.strategies.getStrategy(selected)) {
+            select.value = selected;
+        }
+    }
+
+    updateLegsDisplay() {
         const container = document.getElementById('legs-container');
         container.innerHTML = '';
+        this.updateChainTargetOptions();
+
+        if (this.currentLegs.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No legs yet. Use "Add Leg" to build a position.</p>';
+            return;
+        }
 
-        if (!strategy) return;
+        const marketParams = this.getMarketParams();
 
-        strategy.legs.forEach((leg, index) => {
+        this.currentLegs.forEach((leg, index) => {
+            const isStock = leg.type === 'Stock';
+            const legDays = leg.daysToExpiration ?? '';
+            const legVolatility = leg.volatility ? (leg.volatility * 100).toFixed(1) : '';
             const legDiv = document.createElement('div');
             legDiv.className = 'mb-4 p-4 border border-gray-200 rounded-lg bg-gray-50';
             
             legDiv.innerHTML = `
-                <div class="grid grid-cols-2 md:grid-cols-5 gap-3">
+                <div class="flex items-center justify-between mb-3">
+                    <span class="text-sm font-medium text-gray-700">Leg ${index + 1}</span>
+                    <div class="flex gap-3">
+                        <button class="duplicate-leg-btn text-xs font-medium text-blue-600 hover:text-blue-800" data-leg="${index}">
+                            Duplicate
+                        </button>
+                        <button class="remove-leg-btn text-xs font-medium text-red-600 hover:text-red-800" data-leg="${index}">
+                            Remove
+                        </button>
+                    </div>
+                </div>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Action</label>
+                        <select class="leg-action w-full p-2 border border-gray-300 rounded input-focus" data-leg="${index}">
+                            <option value="Buy" ${leg.action === 'Buy' ? 'selected' : ''}>Buy</option>
+                            <option value="Sell" ${leg.action === 'Sell' ? 'selected' : ''}>Sell</option>
+                        </select>
+                    </div>
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Leg ${index + 1}</label>
-                        <div class="text-sm text-gray-600">${leg.action} ${leg.type}</div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                        <select class="leg-type w-full p-2 border border-gray-300 rounded input-focus" data-leg="${index}">
+                            <option value="Call" ${leg.type === 'Call' ? 'selected' : ''}>Call</option>
+                            <option value="Put" ${leg.type === 'Put' ? 'selected' : ''}>Put</option>
+                            <option value="Stock" ${isStock ? 'selected' : ''}>Stock</option>
+                        </select>
                     </div>
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-1">Strike ($)</label>
-                        <input type="number" class="leg-strike w-full p-2 border border-gray-300 rounded input-focus" 
-                               value="${leg.defaultStrike}" step="0.01" data-leg="${index}">
+                        <input type="number" class="leg-strike w-full p-2 border border-gray-300 rounded input-focus ${isStock ? 'bg-gray-100' : ''}" 
+                               value="${isStock ? '' : leg.strike}" step="0.01" data-leg="${index}" ${isStock ? 'disabled placeholder="N/A"' : ''}>
                     </div>
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Premium ($)</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">${isStock ? 'Cost Basis ($)' : 'Premium ($)'}</label>
                         <input type="number" class="leg-premium w-full p-2 border border-gray-300 rounded input-focus" 
-                               value="${leg.defaultPremium}" step="0.01" data-leg="${index}" placeholder="Enter premium">
+                               value="${leg.premium}" step="0.01" data-leg="${index}" placeholder="${isStock ? 'Price per share' : 'Enter premium'}">
                     </div>
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">${isStock ? 'Shares' : 'Quantity'}</label>
                         <input type="number" class="leg-quantity w-full p-2 border border-gray-300 rounded input-focus" 
                                value="${leg.quantity}" min="1" data-leg="${index}">
                     </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Expiration (days)</label>
+                        <input type="number" class="leg-expiration w-full p-2 border border-gray-300 rounded input-focus ${isStock ? 'bg-gray-100' : ''}" 
+                               value="${isStock ? '' : legDays}" min="0" data-leg="${index}" 
+                               placeholder="${isStock ? 'N/A' : marketParams.daysToExpiration}" ${isStock ? 'disabled' : ''}>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">IV (%)</label>
+                        <input type="number" class="leg-volatility w-full p-2 border border-gray-300 rounded input-focus ${isStock ? 'bg-gray-100' : ''}" 
+                               value="${isStock ? '' : legVolatility}" step="0.1" data-leg="${index}" 
+                               placeholder="${isStock ? 'N/A' : (marketParams.volatility * 100).toFixed(1)}" ${isStock ? 'disabled' : ''}>
+                    </div>
                     <div class="flex items-end">
                         <button class="calc-premium-btn w-full bg-gray-600 hover:bg-gray-700 text-white text-sm py-2 px-3 rounded transition-colors" 
                                 data-leg="${index}">
-                            Calc Premium
+                            ${isStock ? 'Use Spot' : 'Calc Premium'}
                         </button>
                     </div>
                 </div>
+                <div class="leg-readouts mt-2 text-xs text-gray-500 ${isStock ? 'hidden' : ''}">
+                    <span class="leg-implied-vol mr-3" data-leg="${index}"></span>
+                    <span class="leg-early-exercise" data-leg="${index}"></span>
+                </div>
             `;
             
             container.appendChild(legDiv);
@@ -118,12 +612,11 @@ class OptionsCalculator {
 
         // Add event listeners for leg inputs
         this.setupLegEventListeners();
-        this.updateCurrentLegs();
     }
 
     setupLegEventListeners() {
         // Strike, premium, and quantity inputs
-        document.querySelectorAll('.leg-strike, .leg-premium, .leg-quantity').forEach(input => {
+        document.querySelectorAll('.leg-strike, .leg-premium, .leg-quantity, .leg-expiration, .leg-volatility').forEach(input => {
             input.addEventListener('input', () => {
                 this.debounce(() => {
                     this.updateCurrentLegs();
@@ -132,6 +625,27 @@ class OptionsCalculator {
             });
         });
 
+        // Flipping Buy/Sell or Call/Put changes the structure of the position
+        document.querySelectorAll('.leg-action').forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateCurrentLegs();
+                this.switchToCustomMode();
+                this.calculateAndUpdate();
+            });
+        });
+
+        document.querySelectorAll('.leg-type').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const legIndex = parseInt(e.target.dataset.leg);
+                const previousType = this.currentLegs[legIndex].type;
+                this.updateCurrentLegs();
+                this.convertLegType(legIndex, previousType);
+                this.switchToCustomMode();
+                this.updateLegsDisplay();
+                this.calculateAndUpdate();
+            });
+        });
+
         // Calculate premium buttons
         document.querySelectorAll('.calc-premium-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -139,54 +653,84 @@ class OptionsCalculator {
                 this.calculateTheoreticalPremium(legIndex);
             });
         });
+
+        // Duplicate leg buttons
+        document.querySelectorAll('.duplicate-leg-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const legIndex = parseInt(e.target.dataset.leg);
+                this.updateCurrentLegs();
+                this.currentLegs.splice(legIndex + 1, 0, { ...this.currentLegs[legIndex] });
+                this.switchToCustomMode();
+                this.updateLegsDisplay();
+                this.calculateAndUpdate();
+            });
+        });
+
+        // Remove leg buttons
+        document.querySelectorAll('.remove-leg-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const legIndex = parseInt(e.target.dataset.leg);
+                this.updateCurrentLegs();
+                this.currentLegs.splice(legIndex, 1);
+                this.switchToCustomMode();
+                this.updateLegsDisplay();
+                this.calculateAndUpdate();
+            });
+        });
     }
 
-    updateCurrentLegs() {
-        const strategyKey = document.getElementById('strategy').value;
-        const strategy = this.strategies.getStrategy(strategyKey);
-        
-        if (!strategy) return;
+    // Stock legs are sized in shares at a cost basis; option legs in contracts at a premium
+    convertLegType(legIndex, previousType) {
+        const leg = this.currentLegs[legIndex];
+        const wasStock = previousType === 'Stock';
+        const isStock = leg.type === 'Stock';
+        if (wasStock === isStock) return;
 
-        this.currentLegs = strategy.legs.map((leg, index) => {
+        const currentPrice = this.getMarketParams().currentPrice;
+        if (isStock) {
+            leg.quantity = leg.quantity * this.strategies.contractMultiplier;
+            leg.premium = currentPrice;
+        } else {
+            leg.quantity = Math.max(1, Math.round(leg.quantity / this.strategies.contractMultiplier));
+            leg.strike = leg.strike || Math.round(currentPrice);
+            leg.premium = 0;
+        }
+    }
+
+    // Sync the current legs with the values in the leg inputs
+    updateCurrentLegs() {
+        this.currentLegs = this.currentLegs.map((leg, index) => {
+            const actionInput = document.querySelector(`.leg-action[data-leg="${index}"]`);
+            const typeInput = document.querySelector(`.leg-type[data-leg="${index}"]`);
             const strikeInput = document.querySelector(`.leg-strike[data-leg="${index}"]`);
             const premiumInput = document.querySelector(`.leg-premium[data-leg="${index}"]`);
             const quantityInput = document.querySelector(`.leg-quantity[data-leg="${index}"]`);
+            const expirationInput = document.querySelector(`.leg-expiration[data-leg="${index}"]`);
+            const volatilityInput = document.querySelector(`.leg-volatility[data-leg="${index}"]`);
+
+            // Blank expiration / IV means the leg follows the global market parameters
+            const legDays = parseInt(expirationInput?.value);
+            const legVolatility = parseFloat(volatilityInput?.value);
             
             return {
-                action: leg.action,
-                type: leg.type,
+                ...leg,
+                action: actionInput?.value || leg.action,
+                type: typeInput?.value || leg.type,
                 strike: parseFloat(strikeInput?.value) || 0,
                 premium: parseFloat(premiumInput?.value) || 0,
-                quantity: parseInt(quantityInput?.value) || 1
+                quantity: parseInt(quantityInput?.value) || 1,
+                daysToExpiration: legDays >= 0 ? legDays : undefined,
+                volatility: legVolatility > 0 ? legVolatility / 100 : undefined
             };
         });
     }
 
     calculateTheoreticalPremium(legIndex) {
         const leg = this.currentLegs[legIndex];
-        if (!leg || !leg.strike) return;
+        if (!leg || (!leg.strike && leg.type !== 'Stock')) return;
 
         const marketParams = this.getMarketParams();
-        const isCall = leg.type === 'Call';
-        
-        let theoreticalPrice;
-        if (isCall) {
-            theoreticalPrice = this.strategies.blackScholes.calculateCallPrice(
-                marketParams.currentPrice,
-                leg.strike,
-                marketParams.riskFreeRate,
-                marketParams.timeToExpiration,
-                marketParams.volatility
-            );
-        } else {
-            theoreticalPrice = this.strategies.blackScholes.calculatePutPrice(
-                marketParams.currentPrice,
-                leg.strike,
-                marketParams.riskFreeRate,
-                marketParams.timeToExpiration,
-                marketParams.volatility
-            );
-        }
+        const theoreticalPrice = this.strategies.calculateLegValue(leg, marketParams.currentPrice, marketParams);
 
         // Update the premium input
         const premiumInput = document.querySelector(`.leg-premium[data-leg="${legIndex}"]`);
@@ -203,104 +747,455 @@ class OptionsCalculator {
         const riskFreeRate = (parseFloat(document.getElementById('riskFreeRate').value) || 5) / 100;
         const daysToExpiration = parseInt(document.getElementById('daysToExpiration').value) || 30;
         const timeToExpiration = daysToExpiration / 365;
+        const dividendYield = (parseFloat(document.getElementById('dividendYield').value) || 0) / 100;
 
         return {
             currentPrice: stockPrice,
             volatility: volatility,
             riskFreeRate: riskFreeRate,
             timeToExpiration: timeToExpiration,
-            daysToExpiration: daysToExpiration
+            daysToExpiration: daysToExpiration,
+            dividendYield: dividendYield,
+            dividends: this.getDividendSchedule(),
+            volatilitySmile: this.isSmileActive() ? this.volatilitySmile : null,
+            fees: this.getFeeSettings()
         };
     }
 
-    calculateAndUpdate() {
-        if (this.currentLegs.length === 0) return;
+    // Fee model for OptionsStrategies.calculateTransactionCosts, or null when nothing is charged
+    getFeeSettings() {
+        const value = id => Math.max(parseFloat(document.getElementById(id).value) || 0, 0);
+        const fees = {
+            perContract: value('feePerContract'),
+            perOrder: value('feePerOrder'),
+            exchangePerContract: value('feeExchange'),
+            spread: value('feeSpread'),
+            slippage: Math.min(value('feeSlippage'), 100) / 100,
+            includeClosing: document.getElementById('feeIncludeClosing').checked
+        };
+
+        const charged = fees.perContract > 0 || fees.perOrder > 0 || fees.exchangePerContract > 0 || fees.slippage > 0;
+        return charged ? fees : null;
+    }
 
+    calculateAndUpdate() {
         const marketParams = this.getMarketParams();
         
         // Generate price range for chart
-        const priceRange = [];
-        const step = marketParams.currentPrice * 0.02; // 2% steps
-        for (let price = marketParams.currentPrice * 0.7; price <= marketParams.currentPrice * 1.3; price += step) {
-            priceRange.push(price);
-        }
+        const priceRange = this.getPriceRange(marketParams.currentPrice);
 
-        // Calculate P&L at expiration
-        const plAtExpiration = this.strategies.calculateStrategyPL(this.currentLegs, priceRange, {
-            ...marketParams,
-            timeToExpiration: 0
-        });
+        // Calculate P&L at (front-month) expiration
+        const expirationParams = this.strategies.getExpirationParams(this.currentLegs, marketParams);
+        const plAtExpiration = this.strategies.calculateStrategyPL(this.currentLegs, priceRange, expirationParams);
 
         // Calculate current P&L (before expiration)
         const plCurrent = this.strategies.calculateStrategyPL(this.currentLegs, priceRange, marketParams);
 
+        // Calculate P&L at intermediate dates
+        const timeSlices = this.calculateTimeSlices(priceRange, marketParams, expirationParams.daysElapsed);
+
         // Update chart
-        this.updateChart(priceRange, plAtExpiration, plCurrent, marketParams.currentPrice);
+        const expirationLabel = this.strategies.hasMultipleExpirations(this.currentLegs, marketParams) ?
+            `P&L at Front Expiration (${expirationParams.daysElapsed}d)` :
+            'P&L at Expiration';
+        this.updateChart(priceRange, plAtExpiration, plCurrent, marketParams.currentPrice, expirationLabel, timeSlices);
 
         // Calculate and display key metrics
         const keyMetrics = this.strategies.calculateKeyMetrics(this.currentLegs, marketParams);
         this.updateKeyMetrics(keyMetrics);
+        this.updateMargin(marketParams, keyMetrics);
+
+        this.updateHeatmap(marketParams, keyMetrics);
+        this.updateStressTest(marketParams);
+
+        // Calculate and display probability metrics
+        const probabilityMetrics = this.strategies.calculateProbabilityMetrics(this.currentLegs, marketParams, keyMetrics);
+        this.updateProbabilityMetrics(probabilityMetrics);
 
         // Calculate and display Greeks
-        const greeks = this.strategies.calculateStrategyGreeks(this.currentLegs, marketParams);
-        this.updateGreeks(greeks);
+        const greeksBreakdown = this.strategies.calculateGreeksBreakdown(this.currentLegs, marketParams);
+        this.updateGreeks(greeksBreakdown.total.greeks);
+        this.updateDollarGreeks(greeksBreakdown.total.dollarGreeks);
+        this.updateGreeksBreakdown(greeksBreakdown);
+
+        this.updateGreeksProfile(priceRange, marketParams, expirationParams.daysElapsed);
+
+        this.updateLegReadouts(marketParams);
+        this.renderAdjustment(marketParams);
     }
 
-    setupChart() {
-        const ctx = document.getElementById('plChart').getContext('2d');
-        this.chart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [
-                    {
-                        label: 'P&L at Expiration',
-                        data: [],
-                        borderColor: 'rgb(59, 130, 246)',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        borderWidth: 3,
-                        fill: false,
-                        tension: 0.1
-                    },
-                    {
-                        label: 'Current P&L',
-                        data: [],
-                        borderColor: 'rgb(34, 197, 94)',
-                        backgroundColor: 'rgba(34, 197, 94, 0.1)',
-                        borderWidth: 2,
-                        borderDash: [5, 5],
-                        fill: false,
-                        tension: 0.1
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: {
-                    intersect: false,
-                    mode: 'index'
-                },
-                plugins: {
-                    legend: {
-                        position: 'top'
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                return context.dataset.label + ': $' + context.parsed.y.toFixed(2);
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Stock Price ($)'
-                        },
-                        grid: {
-                            display: true,
+    // Chart prices from 70% to 130% of spot in 2% steps
+    getPriceRange(currentPrice) {
+        const priceRange = [];
+        const step = currentPrice * 0.02; // 2% steps
+        for (let price = currentPrice * 0.7; price <= currentPrice * 1.3; price += step) {
+            priceRange.push(price);
+        }
+        return priceRange;
+    }
+
+    // Plot the selected greek across the chart's price range at each requested date
+    updateGreeksProfile(priceRange, marketParams, frontDays) {
+        const greek = document.getElementById('greeksProfileGreek').value;
+        const requestedDays = document.getElementById('greeksProfileDays').value
+            .split(',')
+            .map(value => parseInt(value))
+            .filter(days => days >= 0 && days < frontDays);
+        const days = [...new Set(requestedDays.length > 0 ? requestedDays : [0])].slice(0, 6);
+
+        const series = days.map(daysForward => ({
+            label: daysForward === 0 ? 'Today' : `T+${daysForward}`,
+            values: this.strategies.calculateGreeksProfile(this.currentLegs, priceRange, marketParams, daysForward)[greek]
+        }));
+
+        this.greeksChart.updateGreeksChart({
+            greek: greek,
+            stockPrices: priceRange,
+            series: series,
+            currentStockPrice: marketParams.currentPrice
+        });
+    }
+
+    // Date label for a number of days from today
+    formatDaysForward(days) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `T+${days} (${date.toLocaleDateString()})`;
+    }
+
+    updateDaysForwardLabel() {
+        const days = parseInt(document.getElementById('daysForward').value) || 0;
+        document.getElementById('days-forward-label').textContent = this.formatDaysForward(days);
+    }
+
+    // P&L curves for the days-forward slider and the optional evenly spaced overlays
+    calculateTimeSlices(priceRange, marketParams, frontDays) {
+        const slider = document.getElementById('daysForward');
+        slider.max = Math.max(Math.floor(frontDays), 0);
+        if (parseInt(slider.value) > slider.max) slider.value = slider.max;
+        this.updateDaysForwardLabel();
+
+        const slices = [];
+        const sliderDays = parseInt(slider.value) || 0;
+
+        if (document.getElementById('showTimeSlices').checked) {
+            const interval = parseInt(document.getElementById('sliceInterval').value) || 7;
+            this.strategies.getTimeSliceDays(this.currentLegs, marketParams, interval)
+                .filter(days => days > 0 && days !== sliderDays)
+                .forEach(days => {
+                    slices.push({
+                        days: days,
+                        label: `P&L at T+${days}`,
+                        data: this.strategies.calculateTimeSlicePL(this.currentLegs, priceRange, marketParams, days),
+                        highlight: false
+                    });
+                });
+        }
+
+        if (sliderDays > 0) {
+            slices.push({
+                days: sliderDays,
+                label: `P&L at ${this.formatDaysForward(sliderDays)}`,
+                data: this.strategies.calculateTimeSlicePL(this.currentLegs, priceRange, marketParams, sliderDays),
+                highlight: true
+            });
+        }
+
+        return slices;
+    }
+
+    updateHeatmap(marketParams = this.getMarketParams(), keyMetrics = null) {
+        if (!document.getElementById('heatmap-panel').open) return;
+
+        const metrics = keyMetrics || this.strategies.calculateKeyMetrics(this.currentLegs, marketParams);
+        const priceStep = parseFloat(document.getElementById('heatmapPriceStep').value) || 0;
+        const dateStep = parseInt(document.getElementById('heatmapDateStep').value) || 1;
+        const capitalAtRisk = typeof metrics.maxLoss === 'number' && metrics.maxLoss > 0 ? metrics.maxLoss : null;
+        const percentMode = document.getElementById('heatmapMode').value === 'percent' && capitalAtRisk !== null;
+
+        const grid = this.strategies.calculatePLGrid(this.currentLegs, marketParams, priceStep, dateStep);
+        this.heatmap = { ...grid, percentMode, capitalAtRisk };
+
+        document.getElementById('heatmap-note').textContent =
+            document.getElementById('heatmapMode').value === 'percent' && capitalAtRisk === null ?
+                'Capital at risk is unlimited, so cells are shown in dollars.' :
+                '';
+
+        this.renderHeatmap(marketParams.currentPrice);
+    }
+
+    getHeatmapCellValue(value) {
+        return this.heatmap.percentMode ? value / this.heatmap.capitalAtRisk * 100 : value;
+    }
+
+    renderHeatmap(currentPrice) {
+        const { prices, days, values, percentMode } = this.heatmap;
+        const largest = Math.max(...values.flat().map(Math.abs), 1);
+        const closestRow = prices.reduce((best, price, row) =>
+            Math.abs(price - currentPrice) < Math.abs(prices[best] - currentPrice) ? row : best, 0);
+
+        const header = days.map(day => `<th class="px-2 py-1 font-medium text-gray-600 whitespace-nowrap">T+${day}</th>`).join('');
+        const rows = prices.map((price, row) => {
+            const cells = values[row].map(value => {
+                const alpha = (0.1 + 0.5 * Math.abs(value) / largest).toFixed(2);
+                const background = value >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+                const display = this.getHeatmapCellValue(value);
+                const text = percentMode ? `${display.toFixed(0)}%` : display.toFixed(0);
+                return `<td class="px-2 py-1 text-right ${this.chartManager.getPLColor(value)}" style="background: ${background}">${text}</td>`;
+            }).join('');
+            const rowClass = row === closestRow ? 'font-bold' : '';
+            return `<tr class="${rowClass}"><th class="px-2 py-1 text-right text-gray-700">$${price.toFixed(2)}</th>${cells}</tr>`;
+        }).join('');
+
+        document.getElementById('heatmap-container').innerHTML = `
+            <table class="text-xs border-collapse">
+                <thead><tr><th class="px-2 py-1 text-gray-600">Price</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    exportHeatmap() {
+        this.updateHeatmap();
+        if (!this.heatmap) return;
+
+        const { prices, days, values, percentMode } = this.heatmap;
+        const lines = [
+            ['Price', ...days.map(day => this.formatDaysForward(day))].join(','),
+            ...prices.map((price, row) => [
+                price.toFixed(2),
+                ...values[row].map(value => this.getHeatmapCellValue(value).toFixed(2))
+            ].join(','))
+        ];
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = percentMode ? 'pl-heatmap-percent.csv' : 'pl-heatmap.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Symmetric list of shocks from -range to +range in the given step, always including zero
+    buildShockSteps(range, step) {
+        const count = Math.min(Math.floor(range / step), 10);
+        const shocks = [];
+        for (let i = -count; i <= count; i++) {
+            shocks.push(i * step);
+        }
+        return shocks;
+    }
+
+    getStressOptions() {
+        const priceRange = Math.max(parseFloat(document.getElementById('stressPriceRange').value) || 0, 0);
+        const priceStep = Math.max(parseFloat(document.getElementById('stressPriceStep').value) || 5, 0.1);
+        const volRange = Math.max(parseFloat(document.getElementById('stressVolRange').value) || 0, 0);
+        const volStep = Math.max(parseFloat(document.getElementById('stressVolStep').value) || 5, 0.1);
+        const lossLimit = parseFloat(document.getElementById('stressLossLimit').value);
+
+        return {
+            priceShocks: this.buildShockSteps(priceRange, priceStep).map(shock => shock / 100),
+            volatilityShifts: this.buildShockSteps(volRange, volStep).map(shift => shift / 100),
+            daysForward: parseInt(document.getElementById('stressDays').value) || 0,
+            lossLimit: lossLimit > 0 ? lossLimit : null
+        };
+    }
+
+    updateStressTest(marketParams = this.getMarketParams()) {
+        if (!document.getElementById('stress-panel').open) return;
+
+        const stress = this.strategies.calculateStressMatrix(this.currentLegs, marketParams, this.getStressOptions());
+        this.renderStressTest(stress);
+    }
+
+    renderStressTest(stress) {
+        const { priceShocks, volatilityShifts, prices, values, worst, lossLimit, breaches } = stress;
+        const formatShock = value => `${value > 0 ? '+' : ''}${(value * 100).toFixed(0)}`;
+        const largest = Math.max(...values.flat().map(Math.abs), 1);
+        const isBreach = (row, column) => breaches.some(breach => breach.row === row && breach.column === column);
+
+        const header = priceShocks.map((shock, column) => `
+            <th class="px-2 py-1 font-medium text-gray-600 whitespace-nowrap">
+                ${formatShock(shock)}%<div class="font-normal text-gray-400">$${prices[column].toFixed(2)}</div>
+            </th>`).join('');
+
+        const rows = volatilityShifts.map((shift, row) => {
+            const cells = values[row].map((value, column) => {
+                const alpha = (0.1 + 0.5 * Math.abs(value) / largest).toFixed(2);
+                const background = value >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+                const classes = [this.chartManager.getPLColor(value)];
+                if (isBreach(row, column)) classes.push('font-bold underline');
+                if (row === worst.row && column === worst.column) classes.push('ring-2 ring-inset ring-red-700');
+                return `<td class="px-2 py-1 text-right ${classes.join(' ')}" style="background: ${background}">${value.toFixed(0)}</td>`;
+            }).join('');
+            const rowClass = shift === 0 ? 'font-semibold' : '';
+            return `<tr class="${rowClass}"><th class="px-2 py-1 text-right text-gray-700 whitespace-nowrap">${formatShock(shift)} vol</th>${cells}</tr>`;
+        }).join('');
+
+        document.getElementById('stress-container').innerHTML = `
+            <table class="text-xs border-collapse">
+                <thead><tr><th class="px-2 py-1 text-gray-600">IV / Price</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        const worstValue = `${worst.value < 0 ? '-' : ''}$${Math.abs(worst.value).toFixed(2)}`;
+        let summary = `Worst case at ${this.formatDaysForward(stress.daysForward)}: ${worstValue} ` +
+            `(price ${formatShock(priceShocks[worst.column])}%, IV ${formatShock(volatilityShifts[worst.row])} vol pts).`;
+        if (lossLimit !== null) {
+            summary += breaches.length > 0 ?
+                ` ${breaches.length} of ${values.flat().length} scenarios breach the $${lossLimit.toFixed(2)} loss limit.` :
+                ` No scenario breaches the $${lossLimit.toFixed(2)} loss limit.`;
+        }
+        const summaryElement = document.getElementById('stress-summary');
+        summaryElement.textContent = summary;
+        summaryElement.className = `text-sm mb-2 ${breaches.length > 0 ? 'text-red-700 font-medium' : 'text-gray-700'}`;
+    }
+
+    getSimulationOptions() {
+        const readNumber = (id, fallback = null) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? fallback : value;
+        };
+
+        return {
+            paths: Math.min(Math.max(Math.round(readNumber('mcPaths', 2000)), 100), 20000),
+            seed: Math.round(readNumber('mcSeed', 42)),
+            profitTarget: readNumber('mcProfitTarget'),
+            stopLoss: readNumber('mcStopLoss'),
+            jumpIntensity: readNumber('mcJumpIntensity', 0),
+            jumpMean: readNumber('mcJumpMean', 0) / 100,
+            jumpVolatility: readNumber('mcJumpVolatility', 0) / 100
+        };
+    }
+
+    runMonteCarlo() {
+        this.updateCurrentLegs();
+        const results = this.monteCarlo.simulate(this.currentLegs, this.getMarketParams(), this.getSimulationOptions());
+        this.updateSimulationResults(results);
+    }
+
+    updateSimulationResults(results) {
+        const formatCurrency = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const formatPercent = value => value === null ? 'N/A' : `${(value * 100).toFixed(1)}%`;
+        const { percentiles } = results;
+
+        document.getElementById('mc-mean').textContent = formatCurrency(results.mean);
+        document.getElementById('mc-pop').textContent = formatPercent(results.probabilityOfProfit);
+        document.getElementById('mc-percentiles').textContent =
+            [percentiles.p5, percentiles.p25, percentiles.p50, percentiles.p75, percentiles.p95].map(formatCurrency).join(' / ');
+        document.getElementById('mc-var').textContent =
+            `${formatCurrency(results.risk95.valueAtRisk)} / ${formatCurrency(results.risk99.valueAtRisk)}`;
+        document.getElementById('mc-cvar').textContent =
+            `${formatCurrency(results.risk95.conditionalValueAtRisk)} / ${formatCurrency(results.risk99.conditionalValueAtRisk)}`;
+        document.getElementById('mc-target').textContent = formatPercent(results.profitTargetProbability);
+        document.getElementById('mc-stop').textContent = formatPercent(results.stopLossProbability);
+        document.getElementById('mc-fingerprint').textContent = `seed ${results.seed} · ${results.fingerprint}`;
+
+        if (this.histogramChart) {
+            this.histogramChart.data.labels = results.histogram.map(bin => ((bin.from + bin.to) / 2).toFixed(0));
+            this.histogramChart.data.datasets[0].data = results.histogram.map(bin => bin.count);
+            this.histogramChart.data.datasets[0].backgroundColor = results.histogram.map(bin =>
+                (bin.from + bin.to) / 2 >= 0 ? 'rgba(34, 197, 94, 0.6)' : 'rgba(239, 68, 68, 0.6)'
+            );
+            this.histogramChart.update();
+        }
+    }
+
+    formatImpliedVolatility(leg, marketParams) {
+        if (leg.type === 'Stock' || !leg.strike || !(leg.premium > 0)) return '';
+
+        const result = this.strategies.calculateLegImpliedVolatility(leg, leg.premium, marketParams);
+        if (result.converged) {
+            return `Implied vol: ${(result.iv * 100).toFixed(1)}%`;
+        }
+
+        const reasons = {
+            'expired': 'leg has expired',
+            'invalid-input': 'invalid inputs',
+            'below-intrinsic': 'premium below intrinsic value',
+            'above-upper-bound': 'premium above arbitrage bound',
+            'no-time-value': 'premium has no time value',
+            'out-of-range': 'outside 0-500% range',
+            'max-iterations': 'did not converge'
+        };
+        return `Implied vol: n/a (${reasons[result.reason] || result.reason})`;
+    }
+
+    // Per-leg model readouts shown under each leg's inputs
+    updateLegReadouts(marketParams) {
+        const isAmerican = this.strategies.isAmericanPricing();
+
+        this.currentLegs.forEach((leg, index) => {
+            const impliedVol = document.querySelector(`.leg-implied-vol[data-leg="${index}"]`);
+            if (impliedVol) {
+                impliedVol.textContent = this.formatImpliedVolatility(leg, marketParams);
+            }
+
+            const earlyExercise = document.querySelector(`.leg-early-exercise[data-leg="${index}"]`);
+            if (!earlyExercise) return;
+
+            earlyExercise.textContent = isAmerican && this.strategies.isValidLeg(leg) ?
+                `Early exercise premium: $${this.strategies.calculateEarlyExercisePremium(leg, marketParams).toFixed(2)}` :
+                '';
+        });
+    }
+
+    setupChart() {
+        const ctx = document.getElementById('plChart').getContext('2d');
+        this.chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'P&L at Expiration',
+                        data: [],
+                        borderColor: 'rgb(59, 130, 246)',
+                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                        borderWidth: 3,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Current P&L',
+                        data: [],
+                        borderColor: 'rgb(34, 197, 94)',
+                        backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                        borderWidth: 2,
+                        borderDash: [5, 5],
+                        fill: false,
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return context.dataset.label + ': $' + context.parsed.y.toFixed(2);
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Stock Price ($)'
+                        },
+                        grid: {
+                            display: true,
                             color: 'rgba(0, 0, 0, 0.1)'
                         }
                     },
@@ -325,14 +1220,219 @@ class OptionsCalculator {
         });
     }
 
-    updateChart(priceRange, plAtExpiration, plCurrent, currentPrice) {
+    setupSmileChart() {
+        const ctx = document.getElementById('smileChart').getContext('2d');
+        this.smileChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Fitted Smile',
+                        data: [],
+                        borderColor: 'rgb(168, 85, 247)',
+                        borderWidth: 2,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Quotes',
+                        data: [],
+                        borderColor: 'rgb(59, 130, 246)',
+                        backgroundColor: 'rgb(59, 130, 246)',
+                        showLine: false,
+                        pointRadius: 4
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Strike ($)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'IV (%)'
+                        }
+                    }
+                },
+                elements: {
+                    point: {
+                        radius: 0
+                    }
+                }
+            }
+        });
+    }
+
+    // Before/after payoff overlay for the adjustment simulator
+    setupAdjustChart() {
+        const ctx = document.getElementById('adjustChart').getContext('2d');
+        this.adjustChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Before',
+                        data: [],
+                        borderColor: 'rgb(156, 163, 175)',
+                        borderWidth: 2,
+                        borderDash: [5, 5],
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'After',
+                        data: [],
+                        borderColor: 'rgb(59, 130, 246)',
+                        borderWidth: 2,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'After (today)',
+                        data: [],
+                        borderColor: 'rgb(34, 197, 94)',
+                        borderWidth: 1,
+                        borderDash: [2, 3],
+                        fill: false,
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            boxWidth: 12
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Stock Price ($)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'P&L from Entry ($)'
+                        }
+                    }
+                },
+                elements: {
+                    point: {
+                        radius: 0
+                    }
+                }
+            }
+        });
+    }
+
+    setupHistogramChart() {
+        const ctx = document.getElementById('mcHistogramChart').getContext('2d');
+        this.histogramChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Paths',
+                        data: [],
+                        backgroundColor: 'rgba(59, 130, 246, 0.6)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'P&L at Expiration ($)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Paths'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    updateSmileChart() {
+        if (!this.smileChart) return;
+
+        const smile = this.volatilitySmile;
+        const points = smile.points;
+        let curve = [];
+
+        if (smile.isActive()) {
+            const minStrike = Math.min(points[0].strike, smile.referencePrice) * 0.9;
+            const maxStrike = Math.max(points[points.length - 1].strike, smile.referencePrice) * 1.1;
+            curve = smile.getCurve(minStrike, maxStrike);
+        }
+
+        this.smileChart.data.datasets[0].data = curve.map(point => ({ x: point.strike, y: point.volatility * 100 }));
+        this.smileChart.data.datasets[1].data = points.map(point => ({ x: point.strike, y: point.volatility * 100 }));
+        this.smileChart.update();
+    }
+
+    updateChart(priceRange, plAtExpiration, plCurrent, currentPrice, expirationLabel = 'P&L at Expiration', timeSlices = []) {
         if (!this.chart) return;
 
         const labels = priceRange.map(price => price.toFixed(0));
+        const [expirationDataset, currentDataset] = this.chart.data.datasets;
         
         this.chart.data.labels = labels;
-        this.chart.data.datasets[0].data = plAtExpiration;
-        this.chart.data.datasets[1].data = plCurrent;
+        expirationDataset.label = expirationLabel;
+        expirationDataset.data = plAtExpiration;
+        currentDataset.data = plCurrent;
+
+        // Time slices fade from green (today) towards orange (expiration); the slider's date is drawn solid
+        const lastSliceDays = Math.max(...timeSlices.map(slice => slice.days), 1);
+        const sliceDatasets = timeSlices.map(slice => {
+            const share = slice.days / lastSliceDays;
+            const color = slice.highlight ?
+                'rgb(168, 85, 247)' :
+                `rgb(${Math.round(34 + 215 * share)}, ${Math.round(197 - 82 * share)}, ${Math.round(94 - 72 * share)})`;
+            return {
+                label: slice.label,
+                data: slice.data,
+                borderColor: color,
+                backgroundColor: 'transparent',
+                borderWidth: slice.highlight ? 2 : 1,
+                borderDash: slice.highlight ? [] : [2, 3],
+                fill: false,
+                tension: 0.1
+            };
+        });
+        this.chart.data.datasets = [expirationDataset, currentDataset, ...sliceDatasets];
         
         // Add breakeven line (y=0)
         this.chart.options.plugins.annotation = {
@@ -371,15 +1471,94 @@ class OptionsCalculator {
     updateKeyMetrics(metrics) {
         document.getElementById('max-profit').textContent = 
             typeof metrics.maxProfit === 'number' ? `$${metrics.maxProfit.toFixed(2)}` : metrics.maxProfit;
+        document.getElementById('max-profit-price').textContent =
+            metrics.maxProfitPrice === null ? 'As the price rises' : `At $${metrics.maxProfitPrice.toFixed(2)}`;
             
         document.getElementById('max-loss').textContent = 
             typeof metrics.maxLoss === 'number' ? `$${metrics.maxLoss.toFixed(2)}` : metrics.maxLoss;
+        document.getElementById('max-loss-price').textContent =
+            metrics.maxLossPrice === null ? 'As the price rises' : `At $${metrics.maxLossPrice.toFixed(2)}`;
             
         document.getElementById('breakeven').textContent = 
             metrics.breakevens.length > 0 ? 
                 metrics.breakevens.map(be => `$${be.toFixed(2)}`).join(', ') : 'None';
                 
         document.getElementById('total-cost').textContent = `$${metrics.totalCost.toFixed(2)}`;
+        document.getElementById('total-fees').textContent = metrics.fees.total > 0 ?
+            `Incl. $${metrics.fees.opening.toFixed(2)} fees to open` +
+                (metrics.fees.closing > 0 ? `, $${metrics.fees.closing.toFixed(2)} to close` : '') :
+            '';
+    }
+
+    // Buying power the position ties up, return on that margin, and the per-leg audit
+    updateMargin(marketParams = this.getMarketParams(), keyMetrics = null) {
+        const metrics = keyMetrics || this.strategies.calculateKeyMetrics(this.currentLegs, marketParams);
+        const margin = this.marginCalculator.calculate(this.currentLegs, marketParams, {
+            cashSecuredPuts: document.getElementById('marginShortPuts').value === 'cash-secured'
+        });
+        const money = value => this.formatSignedDollars(value);
+
+        document.getElementById('buying-power').textContent = money(margin.buyingPower);
+        let returnOnMargin = 'N/A';
+        if (metrics.maxProfit === 'Unlimited') {
+            returnOnMargin = 'Unlimited';
+        } else if (margin.buyingPower > 0) {
+            returnOnMargin = `${(metrics.maxProfit / margin.buyingPower * 100).toFixed(1)}%`;
+        }
+        document.getElementById('return-on-margin').textContent = returnOnMargin;
+
+        const rows = margin.lines.map(line => `
+            <tr class="border-b border-gray-100">
+                <td class="px-2 py-1 whitespace-nowrap">${line.legs}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${line.rule}</td>
+                <td class="px-2 py-1 text-gray-500">${line.detail}</td>
+                <td class="px-2 py-1 text-right">${money(line.requirement)}</td>
+                <td class="px-2 py-1 text-right">${line.credit ? money(-line.credit) : ''}</td>
+            </tr>`).join('');
+
+        document.getElementById('margin-breakdown').innerHTML = margin.lines.length === 0 ?
+            '<p class="text-xs text-gray-500">No legs</p>' :
+            `<table class="w-full text-xs border-collapse">
+                <thead>
+                    <tr class="text-gray-600 border-b">
+                        <th class="px-2 py-1 text-left font-medium">Legs</th>
+                        <th class="px-2 py-1 text-left font-medium">Rule</th>
+                        <th class="px-2 py-1 text-left font-medium">Calculation</th>
+                        <th class="px-2 py-1 text-right font-medium">Requirement</th>
+                        <th class="px-2 py-1 text-right font-medium">Credit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr class="font-semibold">
+                        <td class="px-2 py-1" colspan="3">Total</td>
+                        <td class="px-2 py-1 text-right">${money(margin.requirement)}</td>
+                        <td class="px-2 py-1 text-right">${money(-margin.credit)}</td>
+                    </tr>
+                    <tr class="font-semibold">
+                        <td class="px-2 py-1" colspan="3">Buying power required (requirement less credit)</td>
+                        <td class="px-2 py-1 text-right" colspan="2">${money(margin.buyingPower)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-500 mt-2">Estimate only; brokers may apply higher house requirements.</p>`;
+    }
+
+    updateProbabilityMetrics(metrics) {
+        const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+
+        document.getElementById('probability-of-profit').textContent = formatPercent(metrics.probabilityOfProfit);
+
+        const sign = metrics.expectedPL < 0 ? '-' : '';
+        document.getElementById('expected-pl').textContent = `${sign}$${Math.abs(metrics.expectedPL).toFixed(2)}`;
+
+        document.getElementById('return-on-risk').textContent =
+            metrics.returnOnRisk === null ? 'N/A' : formatPercent(metrics.returnOnRisk);
+
+        document.getElementById('breakeven-touch').textContent =
+            metrics.breakevenTouches.length > 0 ?
+                metrics.breakevenTouches.map(touch => `$${touch.price.toFixed(2)}: ${formatPercent(touch.probability)}`).join(', ') :
+                'None';
     }
 
     updateGreeks(greeks) {
@@ -387,6 +1566,1081 @@ class OptionsCalculator {
         document.getElementById('gamma').textContent = greeks.gamma.toFixed(4);
         document.getElementById('theta').textContent = greeks.theta.toFixed(3);
         document.getElementById('vega').textContent = greeks.vega.toFixed(3);
+
+        // Advanced section
+        document.getElementById('rho').textContent = greeks.rho.toFixed(3);
+        document.getElementById('vanna').textContent = greeks.vanna.toFixed(4);
+        document.getElementById('charm').textContent = greeks.charm.toFixed(4);
+        document.getElementById('vomma').textContent = greeks.vomma.toFixed(4);
+        document.getElementById('speed').textContent = greeks.speed.toFixed(5);
+        document.getElementById('color').textContent = greeks.color.toFixed(5);
+    }
+
+    formatSignedDollars(value) {
+        const sign = value < 0 ? '-' : '';
+        return `${sign}$${Math.abs(value).toFixed(2)}`;
+    }
+
+    updateDollarGreeks(dollarGreeks) {
+        document.getElementById('share-delta').textContent = dollarGreeks.shareDelta.toFixed(1);
+        document.getElementById('dollar-delta').textContent = this.formatSignedDollars(dollarGreeks.dollarDelta);
+        document.getElementById('dollar-gamma').textContent = this.formatSignedDollars(dollarGreeks.dollarGamma);
+        document.getElementById('dollar-theta').textContent = this.formatSignedDollars(dollarGreeks.dollarTheta);
+        document.getElementById('dollar-vega').textContent = this.formatSignedDollars(dollarGreeks.dollarVega);
+        document.getElementById('dollar-rho').textContent = this.formatSignedDollars(dollarGreeks.dollarRho);
+    }
+
+    // Table of each leg's contribution to the position greeks, in share and dollar terms
+    updateGreeksBreakdown(breakdown) {
+        const container = document.getElementById('greeks-breakdown');
+        if (breakdown.legs.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-500">No legs</p>';
+            return;
+        }
+
+        const cell = (text, extraClass = '') => `<td class="px-2 py-1 text-right ${extraClass}">${text}</td>`;
+        const row = (label, dollarGreeks, rowClass = '') => `
+            <tr class="${rowClass}">
+                <td class="px-2 py-1 whitespace-nowrap">${label}</td>
+                ${cell(dollarGreeks.shareDelta.toFixed(1))}
+                ${cell(this.formatSignedDollars(dollarGreeks.dollarDelta))}
+                ${cell(this.formatSignedDollars(dollarGreeks.dollarGamma))}
+                ${cell(this.formatSignedDollars(dollarGreeks.dollarTheta))}
+                ${cell(this.formatSignedDollars(dollarGreeks.dollarVega))}
+            </tr>`;
+
+        const rows = breakdown.legs.map((entry, index) => {
+            const leg = entry.leg;
+            const description = leg.type === 'Stock' ?
+                `${leg.action} ${leg.quantity} Stock` :
+                `${leg.action} ${leg.quantity} ${leg.strike} ${leg.type}`;
+            return row(`${index + 1}. ${description}`, entry.dollarGreeks);
+        }).join('');
+
+        container.innerHTML = `
+            <table class="w-full text-xs border-collapse">
+                <thead>
+                    <tr class="text-gray-600 border-b">
+                        <th class="px-2 py-1 text-left font-medium">Leg</th>
+                        <th class="px-2 py-1 text-right font-medium">Sh. Delta</th>
+                        <th class="px-2 py-1 text-right font-medium">$ Delta</th>
+                        <th class="px-2 py-1 text-right font-medium">$ Gamma</th>
+                        <th class="px-2 py-1 text-right font-medium">Theta/day</th>
+                        <th class="px-2 py-1 text-right font-medium">Vega/pt</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    ${row('Total', breakdown.total.dollarGreeks, 'border-t font-semibold')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Replace the current legs with the pasted lines; nothing is loaded if any line is invalid
+    loadLegsFromText() {
+        const result = this.optionSymbols.parseLines(document.getElementById('legsText').value);
+        const report = document.getElementById('legs-text-report');
+
+        if (result.errors.length > 0 || result.entries.length === 0) {
+            const messages = result.errors.length > 0 ?
+                result.errors.map(error => `<li>Line ${error.line} (${this.escapeHtml(error.text)}): ${this.escapeHtml(error.message)}</li>`).join('') :
+                '<li>No legs found.</li>';
+            report.innerHTML = `<ul class="list-disc ml-5 text-red-600">${messages}</ul>`;
+            return;
+        }
+
+        this.currentLegs = result.entries.map(entry => entry.leg);
+        document.getElementById('legsTextSymbol').value = result.symbols[0];
+        this.switchToCustomMode();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+
+        const notes = [`Loaded ${result.entries.length} leg(s).`];
+        if (result.symbols.length > 1) {
+            notes.push(`Lines mix underlyings (${result.symbols.join(', ')}); all legs are valued against the one stock price.`);
+        }
+        if (result.entries.some(entry => entry.leg.type !== 'Stock' && !entry.leg.premium)) {
+            notes.push('Legs without an "@price" have a zero premium; use Calc Premium to fill them.');
+        }
+        report.innerHTML = `<p class="${result.symbols.length > 1 ? 'text-yellow-700' : 'text-gray-600'}">${this.escapeHtml(notes.join(' '))}</p>`;
+    }
+
+    copyLegsAsText() {
+        this.updateCurrentLegs();
+        const symbol = document.getElementById('legsTextSymbol').value.trim() || 'XYZ';
+        const notation = document.getElementById('legsTextNotation').value;
+        const text = this.optionSymbols.formatLegs(
+            this.currentLegs, symbol, this.getMarketParams().daysToExpiration, notation
+        );
+
+        document.getElementById('legsText').value = text;
+        const report = document.getElementById('legs-text-report');
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(
+                () => { report.innerHTML = '<p class="text-gray-600">Copied to the clipboard.</p>'; },
+                () => { report.innerHTML = '<p class="text-gray-600">Legs written to the text box above.</p>'; }
+            );
+        } else {
+            report.innerHTML = '<p class="text-gray-600">Legs written to the text box above.</p>';
+        }
+    }
+
+    importChain(text) {
+        const result = this.optionChain.parse(text);
+        this.renderChainReport(result);
+
+        const expirySelect = document.getElementById('chainExpiry');
+        expirySelect.innerHTML = '<option value="">All</option>' + this.optionChain.getExpirations()
+            .map(expiry => `<option value="${this.escapeHtml(expiry)}">${this.escapeHtml(expiry)}</option>`)
+            .join('');
+        this.renderChain();
+    }
+
+    // Summary of an import, listing the first few rejected rows
+    renderChainReport(result) {
+        const report = document.getElementById('chain-report');
+        const maxListed = 5;
+        const errors = result.errors.slice(0, maxListed).map(error =>
+            `<li>${error.line !== null ? `Row ${error.line}: ` : ''}${this.escapeHtml(error.message)}</li>`
+        ).join('');
+        const more = result.errors.length > maxListed ? `<li>...and ${result.errors.length - maxListed} more</li>` : '';
+
+        report.innerHTML = `
+            <p class="${result.quotes.length > 0 ? 'text-gray-700' : 'text-red-600'}">
+                Imported ${result.quotes.length} quote(s)${result.errors.length > 0 ? `, ${result.errors.length} problem(s):` : '.'}
+            </p>
+            ${errors || more ? `<ul class="list-disc ml-5 text-red-600">${errors}${more}</ul>` : ''}
+        `;
+    }
+
+    renderChain() {
+        const container = document.getElementById('chain-container');
+        const quotes = this.optionChain.filter(
+            document.getElementById('chainExpiry').value,
+            document.getElementById('chainType').value
+        );
+        if (quotes.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const basis = document.getElementById('chainPremiumBasis').value;
+        const price = value => (value === null ? '-' : value.toFixed(2));
+        const maxRows = 500;
+        const rows = quotes.slice(0, maxRows).map(quote => {
+            const premium = this.optionChain.getPremium(quote, basis);
+            return `
+                <tr class="border-b border-gray-100">
+                    <td class="px-2 py-1 whitespace-nowrap">${this.escapeHtml(quote.expiry)}</td>
+                    <td class="px-2 py-1">${quote.type}</td>
+                    <td class="px-2 py-1 text-right">${quote.strike.toFixed(2)}</td>
+                    <td class="px-2 py-1 text-right">${price(quote.bid)}</td>
+                    <td class="px-2 py-1 text-right">${price(quote.ask)}</td>
+                    <td class="px-2 py-1 text-right">${price(quote.last)}</td>
+                    <td class="px-2 py-1 text-right">${quote.iv === null ? '-' : `${(quote.iv * 100).toFixed(1)}%`}</td>
+                    <td class="px-2 py-1 text-right">${quote.openInterest === null ? '-' : quote.openInterest}</td>
+                    <td class="px-2 py-1 text-right">
+                        <button data-chain-quote="${quote.id}" class="text-xs font-medium text-blue-600 hover:text-blue-800 whitespace-nowrap" ${premium === null ? 'disabled' : ''}>
+                            Use ${premium === null ? '' : `@ ${premium.toFixed(2)}`}
+                        </button>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="w-full text-xs border-collapse">
+                <thead>
+                    <tr class="text-gray-600 border-b">
+                        <th class="px-2 py-1 text-left font-medium">Expiry</th>
+                        <th class="px-2 py-1 text-left font-medium">Type</th>
+                        <th class="px-2 py-1 text-right font-medium">Strike</th>
+                        <th class="px-2 py-1 text-right font-medium">Bid</th>
+                        <th class="px-2 py-1 text-right font-medium">Ask</th>
+                        <th class="px-2 py-1 text-right font-medium">Last</th>
+                        <th class="px-2 py-1 text-right font-medium">IV</th>
+                        <th class="px-2 py-1 text-right font-medium">OI</th>
+                        <th class="px-2 py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${quotes.length > maxRows ? `<p class="text-xs text-gray-500 mt-2">Showing ${maxRows} of ${quotes.length} quotes; filter by expiry or type to see the rest.</p>` : ''}
+        `;
+    }
+
+    // Keep the chain's "Fill" choices in step with the current legs
+    updateChainTargetOptions() {
+        const select = document.getElementById('chainTargetLeg');
+        const previous = select.value;
+        const legOptions = this.currentLegs.map((leg, index) =>
+            `<option value="${index}">Leg ${index + 1} (${leg.action} ${leg.type})</option>`
+        ).join('');
+
+        select.innerHTML = `
+            <option value="new-buy">New Buy leg</option>
+            <option value="new-sell">New Sell leg</option>
+            ${legOptions}
+        `;
+        if (Array.from(select.options).some(option => option.value === previous)) select.value = previous;
+    }
+
+    // Fill the chosen leg's strike, expiry, premium and IV from a chain quote. Quotes without an IV
+    // get one implied from the chosen premium so "Calc Premium" reprices the leg consistently.
+    fillLegFromQuote(quoteId) {
+        const quote = this.optionChain.quotes.find(item => item.id === quoteId);
+        if (!quote) return;
+
+        const basis = document.getElementById('chainPremiumBasis').value;
+        const premium = this.optionChain.getPremium(quote, basis);
+        if (premium === null) return;
+
+        this.updateCurrentLegs();
+        const marketParams = this.getMarketParams();
+        const target = document.getElementById('chainTargetLeg').value;
+
+        let legIndex;
+        if (target === 'new-buy' || target === 'new-sell') {
+            this.currentLegs.push(this.strategies.createLeg(marketParams.currentPrice, {
+                action: target === 'new-buy' ? 'Buy' : 'Sell'
+            }));
+            legIndex = this.currentLegs.length - 1;
+        } else {
+            legIndex = parseInt(target);
+        }
+
+        const leg = this.currentLegs[legIndex];
+        const previousType = leg.type;
+        leg.type = quote.type;
+        this.convertLegType(legIndex, previousType);
+        leg.strike = quote.strike;
+        leg.daysToExpiration = quote.daysToExpiration >= 0 ? quote.daysToExpiration : undefined;
+        leg.premium = parseFloat(premium.toFixed(2));
+        leg.volatility = quote.iv || undefined;
+        // The quoted spread drives this leg's slippage in the fee model
+        leg.spread = quote.bid !== null && quote.ask !== null ? quote.ask - quote.bid : undefined;
+
+        if (!leg.volatility) {
+            const implied = this.strategies.calculateLegImpliedVolatility(leg, premium, marketParams);
+            leg.volatility = implied && implied.converged ? implied.iv : undefined;
+        }
+
+        this.switchToCustomMode();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+    }
+
+    // localStorage can be missing or throw (e.g. disabled cookies); saving is then unavailable
+    getLocalStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Full calculator state in form units, for saving and sharing
+    getCurrentState() {
+        this.updateCurrentLegs();
+        const smilePoints = Array.from(document.querySelectorAll('.smile-point-row')).map(row => ({
+            strike: parseFloat(row.querySelector('.smile-strike').value),
+            volatility: parseFloat(row.querySelector('.smile-volatility').value)
+        }));
+
+        return {
+            strategy: document.getElementById('strategy').value,
+            market: {
+                stockPrice: parseFloat(document.getElementById('stockPrice').value),
+                volatility: parseFloat(document.getElementById('volatility').value),
+                riskFreeRate: parseFloat(document.getElementById('riskFreeRate').value),
+                daysToExpiration: parseInt(document.getElementById('daysToExpiration').value),
+                dividendYield: parseFloat(document.getElementById('dividendYield').value) || 0,
+                dividends: this.getDividendSchedule()
+            },
+            pricing: {
+                model: document.getElementById('pricingModel').value,
+                treeSteps: parseInt(document.getElementById('treeSteps').value) || 200
+            },
+            smile: {
+                enabled: document.getElementById('smileEnabled').checked,
+                model: document.getElementById('smileModel').value,
+                points: smilePoints.filter(point => point.strike > 0 && point.volatility > 0)
+            },
+            fees: {
+                perContract: parseFloat(document.getElementById('feePerContract').value) || 0,
+                perOrder: parseFloat(document.getElementById('feePerOrder').value) || 0,
+                exchangePerContract: parseFloat(document.getElementById('feeExchange').value) || 0,
+                spread: parseFloat(document.getElementById('feeSpread').value) || 0,
+                slippage: parseFloat(document.getElementById('feeSlippage').value) || 0,
+                includeClosing: document.getElementById('feeIncludeClosing').checked
+            },
+            legs: this.currentLegs
+        };
+    }
+
+    // Restore a deserialized state exactly, including legs that differ from the template
+    applyState(state) {
+        const warnings = [];
+
+        const market = state.market;
+        document.getElementById('stockPrice').value = market.stockPrice;
+        document.getElementById('volatility').value = market.volatility;
+        document.getElementById('riskFreeRate').value = market.riskFreeRate;
+        document.getElementById('daysToExpiration').value = market.daysToExpiration;
+        document.getElementById('dividendYield').value = market.dividendYield;
+        document.getElementById('dividends-container').innerHTML = '';
+        market.dividends.forEach(dividend => this.addDividendRow(dividend.daysToExDate, dividend.amount));
+
+        let model = state.pricing.model;
+        if (!this.strategies.pricingModels[model]) {
+            warnings.push(`Unknown pricing model "${model}"; using Black-Scholes.`);
+            model = 'black-scholes';
+        }
+        document.getElementById('pricingModel').value = model;
+        document.getElementById('treeSteps').value = state.pricing.treeSteps;
+        this.applyPricingModel();
+
+        document.getElementById('smileEnabled').checked = state.smile.enabled;
+        document.getElementById('smileModel').value = state.smile.model;
+        document.getElementById('smile-points-container').innerHTML = '';
+        state.smile.points.forEach(point => this.addSmilePointRow(point.strike, point.volatility));
+        this.updateVolatilitySmile();
+
+        document.getElementById('feePerContract').value = state.fees.perContract;
+        document.getElementById('feePerOrder').value = state.fees.perOrder;
+        document.getElementById('feeExchange').value = state.fees.exchangePerContract;
+        document.getElementById('feeSpread').value = state.fees.spread;
+        document.getElementById('feeSlippage').value = state.fees.slippage;
+        document.getElementById('feeIncludeClosing').checked = state.fees.includeClosing;
+
+        let strategy = state.strategy;
+        if (!this.strategies.getStrategy(strategy)) {
+            warnings.push(`Unknown strategy "${strategy}"; loaded as a custom position.`);
+            strategy = 'custom';
+        }
+        document.getElementById('strategy').value = strategy;
+        this.currentLegs = state.legs.map(leg => ({ ...leg }));
+
+        this.updateStrategyDisplay();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+        return warnings;
+    }
+
+    // Apply the result of SetupStore.deserialize / loadSetup / fromHash and report what happened
+    applyLoadResult(result, successMessage) {
+        if (!result.state) {
+            this.showSetupStatus(result.error, true);
+            return false;
+        }
+
+        const warnings = [...result.warnings, ...this.applyState(result.state)];
+        this.showSetupStatus([successMessage, ...warnings].join(' '), warnings.length > 0);
+        return true;
+    }
+
+    restoreFromHash() {
+        const result = this.setupStore.fromHash(window.location.hash);
+        if (result) this.applyLoadResult(result, 'Setup restored from link.');
+    }
+
+    saveSetup() {
+        const name = document.getElementById('setupName').value.trim();
+        if (!name) {
+            this.showSetupStatus('Enter a name for the setup.', true);
+            return;
+        }
+
+        if (this.setupStore.saveSetup(name, this.getCurrentState())) {
+            this.showSetupStatus(`Saved "${name}".`);
+        } else {
+            this.showSetupStatus('Could not save: browser storage is unavailable or full.', true);
+        }
+        this.renderSavedSetups();
+    }
+
+    // Put the state in the URL hash (without re-triggering a restore) and copy the link
+    copySetupLink() {
+        const hash = this.setupStore.toHash(this.getCurrentState());
+        history.replaceState(null, '', `#${hash}`);
+        const link = window.location.href;
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(
+                () => this.showSetupStatus('Link copied to the clipboard.'),
+                () => this.showSetupStatus('Link added to the address bar; copy it from there.')
+            );
+        } else {
+            this.showSetupStatus('Link added to the address bar; copy it from there.');
+        }
+    }
+
+    showSetupStatus(message, isError = false) {
+        const status = document.getElementById('setup-status');
+        status.textContent = message;
+        status.className = `text-xs mb-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+    }
+
+    renderSavedSetups() {
+        const container = document.getElementById('saved-setups-list');
+        const setups = this.setupStore.listSetups();
+        if (setups.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-500">No saved setups.</p>';
+            return;
+        }
+
+        container.innerHTML = setups.map(setup => {
+            const name = this.escapeHtml(setup.name);
+            const savedAt = setup.savedAt ? new Date(setup.savedAt).toLocaleString() : '';
+            return `
+                <div class="flex items-center justify-between py-1 border-b border-gray-100">
+                    <div>
+                        <span class="font-medium">${name}</span>
+                        <span class="text-xs text-gray-500 ml-2">${savedAt}</span>
+                    </div>
+                    <div class="whitespace-nowrap">
+                        <button data-setup-action="load" data-setup-name="${name}" class="text-xs font-medium text-blue-600 hover:text-blue-800 mr-2">Load</button>
+                        <button data-setup-action="delete" data-setup-name="${name}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    // Save the current legs as a template with strikes placed the way the user chose
+    saveLegsAsTemplate() {
+        const name = document.getElementById('templateName').value.trim();
+        if (!name) {
+            this.showTemplateStatus('Enter a template name first.', true);
+            return;
+        }
+
+        this.updateCurrentLegs();
+        const placement = document.getElementById('templatePlacement').value;
+        const result = this.strategies.createTemplateFromLegs(name, this.currentLegs, this.getMarketParams(), placement);
+        if (result.error) {
+            this.showTemplateStatus(result.error, true);
+            return;
+        }
+        this.storeTemplate(result.template);
+    }
+
+    saveTemplateJson() {
+        let template;
+        try {
+            template = JSON.parse(document.getElementById('templateJson').value);
+        } catch (error) {
+            this.showTemplateStatus('Template JSON could not be parsed.', true);
+            return;
+        }
+        this.storeTemplate(template);
+    }
+
+    // Store a template, list it in the strategy menu and select it
+    storeTemplate(template) {
+        const result = this.templateStore.saveTemplate(template);
+        if (result.error) {
+            this.showTemplateStatus(result.error, true);
+            return;
+        }
+
+        this.populateStrategySelect();
+        document.getElementById('strategy').value = result.key;
+        this.updateStrategyDisplay();
+        this.loadStrategyTemplate();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+        this.renderUserTemplates();
+        this.showTemplateStatus(`Saved template "${result.template.name}".`);
+    }
+
+    // Deleting the selected template keeps its legs as a custom position
+    deleteTemplate(key, name) {
+        const wasSelected = document.getElementById('strategy').value === key;
+        this.templateStore.deleteTemplate(name);
+        this.populateStrategySelect();
+        if (wasSelected) {
+            document.getElementById('strategy').value = 'custom';
+            this.updateStrategyDisplay();
+        }
+        this.renderUserTemplates();
+        this.showTemplateStatus(`Deleted template "${name}".`);
+    }
+
+    showTemplateStatus(message, isError = false) {
+        const status = document.getElementById('template-status');
+        status.textContent = message;
+        status.className = `text-xs mt-2 mb-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+    }
+
+    renderUserTemplates() {
+        const container = document.getElementById('user-templates-list');
+        const templates = this.templateStore.listTemplates();
+        if (templates.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-500">No saved templates.</p>';
+            return;
+        }
+
+        container.innerHTML = templates.map(({ key, template }) => {
+            const escapedKey = this.escapeHtml(key);
+            return `
+                <div class="flex items-center justify-between py-1 border-b border-gray-100">
+                    <div>
+                        <span class="font-medium">${this.escapeHtml(template.name)}</span>
+                        <span class="text-xs text-gray-500 ml-2">${template.legs.length} leg(s)</span>
+                    </div>
+                    <div class="whitespace-nowrap">
+                        <button data-template-action="edit" data-template-key="${escapedKey}" class="text-xs font-medium text-blue-600 hover:text-blue-800 mr-2">Edit</button>
+                        <button data-template-action="delete" data-template-key="${escapedKey}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    // User-entered text is interpolated into table markup
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Snapshot of the calculator's position for the portfolio
+    getCurrentPositionState() {
+        const marketParams = this.getMarketParams();
+        return {
+            name: document.getElementById('positionName').value.trim(),
+            symbol: document.getElementById('positionSymbol').value.trim(),
+            beta: parseFloat(document.getElementById('positionBeta').value),
+            strategy: document.getElementById('strategy').value,
+            legs: this.currentLegs,
+            market: {
+                currentPrice: marketParams.currentPrice,
+                volatility: marketParams.volatility,
+                riskFreeRate: marketParams.riskFreeRate,
+                daysToExpiration: marketParams.daysToExpiration,
+                dividendYield: marketParams.dividendYield,
+                dividends: marketParams.dividends,
+                fees: marketParams.fees
+            }
+        };
+    }
+
+    addCurrentPosition() {
+        this.updateCurrentLegs();
+        const position = this.portfolio.addPosition(this.getCurrentPositionState());
+        this.selectedPositionId = position.id;
+        this.renderPortfolio();
+    }
+
+    updateSelectedPosition() {
+        if (this.selectedPositionId === null) return;
+        this.updateCurrentLegs();
+        this.portfolio.updatePosition(this.selectedPositionId, this.getCurrentPositionState());
+        this.renderPortfolio();
+    }
+
+    removePosition(id) {
+        this.portfolio.removePosition(id);
+        if (this.selectedPositionId === id) this.selectedPositionId = null;
+        this.renderPortfolio();
+    }
+
+    // Load a saved position into the calculator. Its legs are loaded as a custom position
+    // so that editing the market inputs does not re-place them from a template.
+    loadPosition(id) {
+        const position = this.portfolio.getPosition(id);
+        if (!position) return;
+
+        const market = position.market;
+        document.getElementById('stockPrice').value = market.currentPrice;
+        document.getElementById('volatility').value = +(market.volatility * 100).toFixed(4);
+        document.getElementById('riskFreeRate').value = +(market.riskFreeRate * 100).toFixed(4);
+        document.getElementById('daysToExpiration').value = market.daysToExpiration;
+        document.getElementById('dividendYield').value = +((market.dividendYield || 0) * 100).toFixed(4);
+
+        document.getElementById('dividends-container').innerHTML = '';
+        (market.dividends || []).forEach(dividend => this.addDividendRow(dividend.daysToExDate, dividend.amount));
+
+        document.getElementById('positionName').value = position.name;
+        document.getElementById('positionSymbol').value = position.symbol;
+        document.getElementById('positionBeta').value = position.beta;
+
+        document.getElementById('strategy').value = 'custom';
+        this.currentLegs = position.legs.map(leg => ({ ...leg }));
+        this.selectedPositionId = id;
+
+        this.updateStrategyDisplay();
+        this.updateVolatilitySmile();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+        this.renderPortfolio();
+    }
+
+    renderPortfolio() {
+        this.portfolio.setBenchmark(
+            document.getElementById('benchmarkSymbol').value.trim().toUpperCase(),
+            parseFloat(document.getElementById('benchmarkPrice').value)
+        );
+        document.getElementById('update-position-btn').disabled = this.selectedPositionId === null;
+
+        const container = document.getElementById('portfolio-container');
+        if (this.portfolio.positions.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No positions yet. Use "Add Current Position" to save the calculator\'s position.</p>';
+            return;
+        }
+
+        const risk = this.portfolio.calculatePortfolioRisk();
+        const benchmarkSymbol = this.escapeHtml(risk.benchmark.symbol);
+        const money = value => this.formatSignedDollars(value);
+        const cell = (text, extraClass = '') => `<td class="px-2 py-1 text-right ${extraClass}">${text}</td>`;
+
+        const rows = risk.positions.map(entry => {
+            const { position, dollarGreeks } = entry;
+            const selected = position.id === this.selectedPositionId;
+            const strategy = this.strategies.getStrategy(position.strategy);
+            return `
+                <tr class="border-b ${selected ? 'bg-blue-50' : ''}">
+                    <td class="px-2 py-1 whitespace-nowrap">
+                        <div class="font-medium">${this.escapeHtml(position.name)}</div>
+                        <div class="text-gray-500">${this.escapeHtml(strategy ? strategy.name : 'Custom')} &middot; ${position.legs.length} leg(s)</div>
+                    </td>
+                    <td class="px-2 py-1">${this.escapeHtml(position.symbol) || '-'}</td>
+                    ${cell(`$${position.market.currentPrice.toFixed(2)}`)}
+                    ${cell(money(entry.pl), this.chartManager.getPLColor(entry.pl))}
+                    ${cell(dollarGreeks.shareDelta.toFixed(1))}
+                    ${cell(money(dollarGreeks.dollarDelta))}
+                    ${cell(money(dollarGreeks.dollarGamma))}
+                    ${cell(money(dollarGreeks.dollarTheta))}
+                    ${cell(money(dollarGreeks.dollarVega))}
+                    ${cell(position.beta.toFixed(2))}
+                    ${cell(entry.betaWeightedDelta.toFixed(1))}
+                    <td class="px-2 py-1 text-right whitespace-nowrap">
+                        <button data-position-action="load" data-position-id="${position.id}" class="text-xs font-medium text-blue-600 hover:text-blue-800 mr-2">Load</button>
+                        <button data-position-action="remove" data-position-id="${position.id}" class="text-xs font-medium text-red-600 hover:text-red-800">Remove</button>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        const totals = risk.totals;
+        container.innerHTML = `
+            <table class="w-full text-xs border-collapse">
+                <thead>
+                    <tr class="text-gray-600 border-b">
+                        <th class="px-2 py-1 text-left font-medium">Position</th>
+                        <th class="px-2 py-1 text-left font-medium">Underlying</th>
+                        <th class="px-2 py-1 text-right font-medium">Price</th>
+                        <th class="px-2 py-1 text-right font-medium">P&L</th>
+                        <th class="px-2 py-1 text-right font-medium">Sh. Delta</th>
+                        <th class="px-2 py-1 text-right font-medium">$ Delta</th>
+                        <th class="px-2 py-1 text-right font-medium">$ Gamma</th>
+                        <th class="px-2 py-1 text-right font-medium">Theta/day</th>
+                        <th class="px-2 py-1 text-right font-medium">Vega/pt</th>
+                        <th class="px-2 py-1 text-right font-medium">Beta</th>
+                        <th class="px-2 py-1 text-right font-medium">&beta;-Delta (${benchmarkSymbol})</th>
+                        <th class="px-2 py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr class="font-semibold">
+                        <td class="px-2 py-1" colspan="3">Portfolio Total</td>
+                        ${cell(money(totals.pl), this.chartManager.getPLColor(totals.pl))}
+                        ${cell('-')}
+                        ${cell(money(totals.dollarDelta))}
+                        ${cell(money(totals.dollarGamma))}
+                        ${cell(money(totals.dollarTheta))}
+                        ${cell(money(totals.dollarVega))}
+                        ${cell('')}
+                        ${cell(totals.betaWeightedDelta.toFixed(1))}
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-500 mt-2">
+                Beta-weighted delta is in ${benchmarkSymbol} shares
+                (${money(totals.betaWeightedDollarDelta)} of ${benchmarkSymbol} exposure).
+            </p>
+        `;
+    }
+
+    runStrategyFinder() {
+        const marketParams = this.getMarketParams();
+        const number = id => parseFloat(document.getElementById(id).value);
+        const targetPrice = number('finderTargetPrice');
+        const targetDays = number('finderTargetDays');
+        const rankBy = document.getElementById('finderRankBy').value;
+
+        const result = this.strategyFinder.find(marketParams, {
+            view: document.getElementById('finderView').value,
+            targetPrice: targetPrice > 0 ? targetPrice : marketParams.currentPrice,
+            targetDays: targetDays > 0 ? targetDays : marketParams.daysToExpiration,
+            maxRisk: number('finderMaxRisk') > 0 ? number('finderMaxRisk') : 0,
+            ladderSteps: Number.isFinite(number('finderLadderSteps')) ? Math.min(number('finderLadderSteps'), 10) : 3,
+            strikeStep: number('finderStrikeStep') > 0 ? number('finderStrikeStep') : 0,
+            source: document.getElementById('finderSource').value,
+            premiumBasis: document.getElementById('chainPremiumBasis').value,
+            rankBy: rankBy,
+            includeStock: document.getElementById('finderIncludeStock').checked
+        });
+
+        const summary = document.getElementById('finder-summary');
+        if (result.error) {
+            this.finderResults = [];
+            summary.textContent = result.error;
+            summary.className = 'text-xs text-red-600 mb-2';
+            this.renderFinderResults();
+            return;
+        }
+
+        this.finderResults = result.candidates;
+        this.finderExpirationDays = result.expirationDays;
+        this.finderSort = { key: rankBy, descending: true };
+        summary.textContent = `${result.candidates.length} of ${result.evaluated} candidates fit the outlook; ` +
+            `all expire in ${result.expirationDays} days.` +
+            (result.refined > 0 ?
+                ` Screened with Black-Scholes; the top ${result.refined} were repriced with the selected model.` :
+                '');
+        summary.className = 'text-xs text-gray-500 mb-2';
+        this.renderFinderResults();
+    }
+
+    // Compact leg description such as "+1 95P / -2 100P / +1 105P (60d)"
+    describeLegs(legs) {
+        return legs.map(leg => {
+            const sign = leg.action === 'Buy' ? '+' : '-';
+            if (leg.type === 'Stock') return `${sign}${leg.quantity} sh`;
+            const days = leg.daysToExpiration !== undefined ? ` (${leg.daysToExpiration}d)` : '';
+            return `${sign}${leg.quantity} ${leg.strike}${leg.type === 'Call' ? 'C' : 'P'}${days}`;
+        }).join(' / ');
+    }
+
+    // Best 50 candidates in the chosen column order
+    renderFinderResults() {
+        const container = document.getElementById('finder-container');
+        if (this.finderResults.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No candidates. Adjust the outlook and run the finder.</p>';
+            return;
+        }
+
+        const { key, descending } = this.finderSort;
+        const sorted = this.strategyFinder.sortCandidates(this.finderResults, key, descending).slice(0, 50);
+        const money = value => (typeof value === 'number' ? this.formatSignedDollars(value) : value);
+        const cell = (text, extraClass = '') => `<td class="px-2 py-1 text-right ${extraClass}">${text}</td>`;
+        const header = (column, label, align = 'text-right') => {
+            const arrow = column === key ? (descending ? ' &darr;' : ' &uarr;') : '';
+            return `<th data-finder-sort="${column}" class="px-2 py-1 ${align} font-medium cursor-pointer select-none">${label}${arrow}</th>`;
+        };
+
+        const rows = sorted.map(candidate => `
+            <tr class="border-b">
+                <td class="px-2 py-1 whitespace-nowrap font-medium">${this.escapeHtml(candidate.name)}</td>
+                <td class="px-2 py-1 whitespace-nowrap text-gray-600">${this.describeLegs(candidate.legs)}</td>
+                ${cell(money(candidate.netCost))}
+                ${cell(money(candidate.maxProfit))}
+                ${cell(money(candidate.maxLoss))}
+                ${cell(`${(candidate.probabilityOfProfit * 100).toFixed(1)}%`)}
+                ${cell(money(candidate.expectedPL), this.chartManager.getPLColor(candidate.expectedPL))}
+                ${cell(candidate.returnOnRisk === null ? 'N/A' : `${(candidate.returnOnRisk * 100).toFixed(1)}%`)}
+                <td class="px-2 py-1 text-right">
+                    <button data-finder-load="${this.finderResults.indexOf(candidate)}" class="text-xs font-medium text-blue-600 hover:text-blue-800">Load</button>
+                </td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <table class="min-w-full text-xs">
+                <thead>
+                    <tr class="border-b bg-gray-50">
+                        ${header('name', 'Strategy', 'text-left')}
+                        <th class="px-2 py-1 text-left font-medium">Legs</th>
+                        ${header('netCost', 'Cost')}
+                        ${header('maxProfit', 'Max Profit')}
+                        ${header('maxLoss', 'Max Loss')}
+                        ${header('probabilityOfProfit', 'P(Profit)')}
+                        ${header('expectedPL', 'Expected P&L')}
+                        ${header('returnOnRisk', 'Return on Risk')}
+                        <th class="px-2 py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Load a candidate as a custom position expiring on the finder's expiration
+    loadFinderCandidate(index) {
+        const candidate = this.finderResults[index];
+        if (!candidate) return;
+
+        document.getElementById('daysToExpiration').value = this.finderExpirationDays;
+        document.getElementById('strategy').value = 'custom';
+        this.currentLegs = candidate.legs.map(leg => ({ ...leg }));
+        this.updateStrategyDisplay();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+    }
+
+    // Snapshot the calculator's legs as the position to adjust
+    recordPosition() {
+        this.updateCurrentLegs();
+        const marketParams = this.getMarketParams();
+        const position = this.tradeAdjustment.record(this.currentLegs, marketParams);
+        if (!position) {
+            this.showAdjustStatus('Add at least one complete leg before recording.', true);
+            return;
+        }
+
+        this.resetAdjustmentPlan();
+        this.showAdjustStatus(`Recorded ${position.legs.length} leg(s) at their entry premiums` +
+            (position.feesPaid > 0 ? ` ($${position.feesPaid.toFixed(2)} fees to open).` : '.'));
+        this.renderAdjustment(marketParams);
+    }
+
+    // Pick up the position recorded in an earlier session
+    restoreAdjustment() {
+        const position = this.tradeAdjustment.restore();
+        this.resetAdjustmentPlan();
+        if (position) {
+            const count = position.adjustments.length;
+            this.showAdjustStatus(`Restored the recorded position (${position.legs.length} leg(s), ` +
+                `${count} adjustment${count === 1 ? '' : 's'} applied).`);
+        }
+    }
+
+    clearAdjustment() {
+        this.tradeAdjustment.clear();
+        this.resetAdjustmentPlan();
+        this.showAdjustStatus('Recorded position cleared.');
+        this.renderAdjustment();
+    }
+
+    resetAdjustmentPlan() {
+        const legs = this.tradeAdjustment.position ? this.tradeAdjustment.position.legs : [];
+        this.adjustmentPlan = {
+            closes: legs.map((leg, index) => ({ index: index, quantity: 0, price: null })),
+            opens: []
+        };
+    }
+
+    // Roll an option leg: close all of it and open the same leg, ready to have its strike or expiry changed
+    rollLeg(index) {
+        const leg = this.tradeAdjustment.position && this.tradeAdjustment.position.legs[index];
+        if (!leg || leg.type === 'Stock') return;
+
+        this.adjustmentPlan.closes[index].quantity = leg.quantity;
+        this.adjustmentPlan.opens.push({ ...leg, premium: null });
+        this.renderAdjustment();
+    }
+
+    // Make the adjustment the recorded position and load the adjusted legs into the calculator
+    applyAdjustment() {
+        const marketParams = this.getMarketParams();
+        const result = this.tradeAdjustment.apply(this.adjustmentPlan, marketParams);
+        if (!result) return;
+
+        document.getElementById('strategy').value = 'custom';
+        this.currentLegs = result.after.map(leg => ({ ...leg }));
+        this.resetAdjustmentPlan();
+        this.updateStrategyDisplay();
+        this.updateLegsDisplay();
+        this.calculateAndUpdate();
+        this.showAdjustStatus(`Adjustment applied: ${this.formatSignedDollars(result.realized)} realized, ` +
+            `${this.formatSignedDollars(result.realizedToDate)} to date. The calculator now shows the open legs only.`);
+    }
+
+    showAdjustStatus(message, isError = false) {
+        const status = document.getElementById('adjust-status');
+        status.textContent = message;
+        status.className = `text-xs mb-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+    }
+
+    // Recorded legs with their close inputs and the legs to open; only while the panel is open
+    renderAdjustment(marketParams = this.getMarketParams()) {
+        if (!document.getElementById('adjust-panel').open) return;
+
+        const position = this.tradeAdjustment.position;
+        document.getElementById('apply-adjustment-btn').disabled = !position;
+        document.getElementById('clear-adjustment-btn').disabled = !position;
+        document.getElementById('add-adjust-leg-btn').disabled = !position;
+        const closeContainer = document.getElementById('adjust-close-container');
+        const openContainer = document.getElementById('adjust-open-container');
+        if (!position) {
+            closeContainer.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No position recorded yet.</p>';
+            openContainer.innerHTML = '';
+            this.updateAdjustmentSummary(marketParams);
+            return;
+        }
+
+        const input = 'w-20 p-1 border border-gray-300 rounded input-focus text-right';
+        const closeRows = position.legs.map((leg, index) => {
+            const close = this.adjustmentPlan.closes[index];
+            const theoretical = this.tradeAdjustment.getTheoreticalPrice(leg, marketParams);
+            return `
+                <tr class="border-b">
+                    <td class="px-2 py-1 whitespace-nowrap">${this.describeLegs([leg])}</td>
+                    <td class="px-2 py-1 text-right">${leg.premium.toFixed(2)}</td>
+                    <td class="px-2 py-1 text-right">${theoretical.toFixed(2)}</td>
+                    <td class="px-2 py-1 text-right">
+                        <input type="number" class="${input}" data-close-index="${index}" data-field="quantity"
+                               value="${close.quantity}" min="0" max="${leg.quantity}" step="1">
+                    </td>
+                    <td class="px-2 py-1 text-right">
+                        <input type="number" class="${input}" data-close-index="${index}" data-field="price"
+                               value="${close.price ?? ''}" placeholder="${theoretical.toFixed(2)}" min="0" step="0.01">
+                    </td>
+                    <td class="px-2 py-1 text-right">
+                        ${leg.type === 'Stock' ? '' : `<button data-roll-leg="${index}" class="text-xs font-medium text-blue-600 hover:text-blue-800">Roll</button>`}
+                    </td>
+                </tr>`;
+        }).join('');
+        closeContainer.innerHTML = `
+            <table class="min-w-full text-xs">
+                <thead>
+                    <tr class="border-b bg-gray-50">
+                        <th class="px-2 py-1 text-left font-medium">Recorded Leg</th>
+                        <th class="px-2 py-1 text-right font-medium">Entry</th>
+                        <th class="px-2 py-1 text-right font-medium">Theo</th>
+                        <th class="px-2 py-1 text-right font-medium">Close Qty</th>
+                        <th class="px-2 py-1 text-right font-medium">Close Price</th>
+                        <th class="px-2 py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${closeRows}
+                </tbody>
+            </table>
+        `;
+
+        const option = (value, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`;
+        const openRows = this.adjustmentPlan.opens.map((leg, index) => `
+            <tr class="border-b">
+                <td class="px-2 py-1">
+                    <select class="p-1 border border-gray-300 rounded input-focus" data-open-index="${index}" data-field="action">
+                        ${['Buy', 'Sell'].map(value => option(value, leg.action)).join('')}
+                    </select>
+                </td>
+                <td class="px-2 py-1">
+                    <select class="p-1 border border-gray-300 rounded input-focus" data-open-index="${index}" data-field="type">
+                        ${['Call', 'Put'].map(value => option(value, leg.type)).join('')}
+                    </select>
+                </td>
+                <td class="px-2 py-1"><input type="number" class="${input}" data-open-index="${index}" data-field="strike" value="${leg.strike}" min="0" step="0.5"></td>
+                <td class="px-2 py-1"><input type="number" class="${input}" data-open-index="${index}" data-field="daysToExpiration" value="${leg.daysToExpiration ?? ''}" placeholder="${marketParams.daysToExpiration}" min="0" step="1"></td>
+                <td class="px-2 py-1"><input type="number" class="${input}" data-open-index="${index}" data-field="quantity" value="${leg.quantity}" min="1" step="1"></td>
+                <td class="px-2 py-1"><input type="number" class="${input}" data-open-index="${index}" data-field="premium" value="${leg.premium ?? ''}" min="0" step="0.01"></td>
+                <td class="px-2 py-1 text-right">
+                    <button data-remove-open="${index}" class="text-xs font-medium text-red-600 hover:text-red-800">Remove</button>
+                </td>
+            </tr>`).join('');
+        openContainer.innerHTML = this.adjustmentPlan.opens.length === 0 ? '' : `
+            <table class="min-w-full text-xs">
+                <thead>
+                    <tr class="border-b bg-gray-50">
+                        <th class="px-2 py-1 text-left font-medium">Open</th>
+                        <th class="px-2 py-1 text-left font-medium">Type</th>
+                        <th class="px-2 py-1 text-right font-medium">Strike</th>
+                        <th class="px-2 py-1 text-right font-medium">Days</th>
+                        <th class="px-2 py-1 text-right font-medium">Qty</th>
+                        <th class="px-2 py-1 text-right font-medium">Price</th>
+                        <th class="px-2 py-1"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${openRows}
+                </tbody>
+            </table>
+        `;
+
+        this.updateAdjustmentSummary(marketParams);
+    }
+
+    // Realized P&L, before/after greeks and metrics, and the payoff overlay for the current plan
+    updateAdjustmentSummary(marketParams = this.getMarketParams()) {
+        const summary = document.getElementById('adjust-summary');
+        const result = this.tradeAdjustment.calculate(this.adjustmentPlan, marketParams);
+        if (!result) {
+            summary.innerHTML = '';
+            if (this.adjustChart) {
+                this.adjustChart.data.labels = [];
+                this.adjustChart.data.datasets.forEach(dataset => {
+                    dataset.data = [];
+                });
+                this.adjustChart.update();
+            }
+            return;
+        }
+
+        // Open-leg price placeholders follow the strike, type and expiry being edited
+        this.adjustmentPlan.opens.forEach((leg, index) => {
+            const premiumInput = document.querySelector(`#adjust-open-container [data-open-index="${index}"][data-field="premium"]`);
+            if (premiumInput && this.strategies.isValidLeg({ ...leg, premium: 0 })) {
+                premiumInput.placeholder = this.tradeAdjustment.getTheoreticalPrice(leg, marketParams).toFixed(2);
+            }
+        });
+
+        const money = value => (typeof value === 'number' ? this.formatSignedDollars(value) : value);
+        const { currentPrice } = marketParams;
+        const [plBefore] = this.tradeAdjustment.calculatePL(result.before, result.beforeOffset, [currentPrice], marketParams);
+        const [plAfter] = this.tradeAdjustment.calculatePL(result.after, result.afterOffset, [currentPrice], marketParams);
+        const row = (label, before, after) => `
+            <tr class="border-b">
+                <td class="px-2 py-1 text-gray-600">${label}</td>
+                <td class="px-2 py-1 text-right">${before}</td>
+                <td class="px-2 py-1 text-right font-medium">${after}</td>
+            </tr>`;
+        const greek = (name, digits) => row(name.charAt(0).toUpperCase() + name.slice(1),
+            result.greeks.before[name].toFixed(digits), result.greeks.after[name].toFixed(digits));
+
+        summary.innerHTML = `
+            <div class="grid grid-cols-2 gap-2 mb-3">
+                <div class="bg-gray-50 p-2 rounded">
+                    <div class="text-xs text-gray-500">Realized by this adjustment</div>
+                    <div class="font-semibold ${this.chartManager.getPLColor(result.realized)}">${money(result.realized)}</div>
+                </div>
+                <div class="bg-gray-50 p-2 rounded">
+                    <div class="text-xs text-gray-500">Realized to date</div>
+                    <div class="font-semibold ${this.chartManager.getPLColor(result.realizedToDate)}">${money(result.realizedToDate)}</div>
+                </div>
+                <div class="bg-gray-50 p-2 rounded">
+                    <div class="text-xs text-gray-500">${result.credit >= 0 ? 'Net credit' : 'Net debit'}</div>
+                    <div class="font-semibold">${money(Math.abs(result.credit))}</div>
+                </div>
+                <div class="bg-gray-50 p-2 rounded">
+                    <div class="text-xs text-gray-500">Fees (adjustment / to date)</div>
+                    <div class="font-semibold">${money(result.adjustmentFees)} / ${money(result.feesToDate)}</div>
+                </div>
+            </div>
+            <table class="min-w-full text-xs">
+                <thead>
+                    <tr class="border-b bg-gray-50">
+                        <th class="px-2 py-1 text-left font-medium">From entry</th>
+                        <th class="px-2 py-1 text-right font-medium">Before</th>
+                        <th class="px-2 py-1 text-right font-medium">After</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('P&L now', money(plBefore), money(plAfter))}
+                    ${row('Max profit', money(result.metrics.before.maxProfit), money(result.metrics.after.maxProfit))}
+                    ${row('Max loss', money(result.metrics.before.maxLoss), money(result.metrics.after.maxLoss))}
+                    ${greek('delta', 3)}
+                    ${greek('gamma', 4)}
+                    ${greek('theta', 2)}
+                    ${greek('vega', 2)}
+                </tbody>
+            </table>
+        `;
+
+        if (!this.adjustChart) return;
+        const priceRange = this.getPriceRange(currentPrice);
+        const payoffs = this.tradeAdjustment.calculatePayoffs(result, priceRange, marketParams);
+        const [beforeDataset, afterDataset, todayDataset] = this.adjustChart.data.datasets;
+        this.adjustChart.data.labels = priceRange.map(price => price.toFixed(0));
+        beforeDataset.label = `Before (at ${payoffs.beforeDays}d)`;
+        beforeDataset.data = payoffs.before;
+        afterDataset.label = `After (at ${payoffs.afterDays}d)`;
+        afterDataset.data = payoffs.after;
+        todayDataset.data = payoffs.afterToday;
+        this.adjustChart.update();
     }
 
     // Debounce function for performance
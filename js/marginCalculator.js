@@ -0,0 +1,203 @@
+// Margin and Buying-Power Estimator
+// Reg-T style initial requirements for option positions in a margin account. Short options are first covered
+// by stock, then paired with long options into spreads, and anything left is naked (or cash-secured for puts).
+// Spreads of one type are capped together at the most they can lose on the strikes, so butterflies and
+// condors are charged as one defined-risk group rather than as separate spreads.
+// The buying-power effect is the requirement less the premium credit received.
+
+class MarginCalculator {
+    constructor(strategies) {
+        this.strategies = strategies;
+        this.nakedRate = 0.2; // Naked shorts: 20% of the underlying less the out-of-the-money amount
+        this.minimumRate = 0.1; // Naked minimum: 10% of the underlying (calls) or of the strike (puts)
+        this.stockRate = 0.5; // Reg-T initial margin on stock
+    }
+
+    // Returns { requirement, credit, buyingPower, lines } where lines audit every component:
+    // [{ legs, rule, detail, requirement, credit }]. options: { cashSecuredPuts }
+    calculate(legs, marketParams, options = {}) {
+        const cashSecuredPuts = options.cashSecuredPuts === true;
+        const spot = marketParams.currentPrice;
+        const contractSize = this.strategies.contractMultiplier;
+        const lines = [];
+        const money = value => `$${value.toFixed(2)}`;
+        const legLabel = index => `Leg ${index + 1}`;
+
+        const entries = legs
+            .map((leg, index) => ({ leg, index }))
+            .filter(entry => this.strategies.isValidLeg(entry.leg));
+
+        // Stock: 50% of the position's market value; short sale proceeds are credited back
+        entries.filter(({ leg }) => leg.type === 'Stock').forEach(({ leg, index }) => {
+            const value = spot * leg.quantity;
+            const isLong = leg.action === 'Buy';
+            lines.push({
+                legs: legLabel(index),
+                rule: isLong ? 'Long stock' : 'Short stock',
+                detail: `${isLong ? '50%' : '150%'} × ${money(spot)} × ${leg.quantity} shares`,
+                requirement: value * (isLong ? this.stockRate : 1 + this.stockRate),
+                credit: isLong ? 0 : value
+            });
+        });
+
+        // Option premiums: longs are paid in full; premium received on shorts is credited against the requirement
+        const optionEntries = entries.filter(({ leg }) => leg.type !== 'Stock');
+        optionEntries.forEach(({ leg, index }) => {
+            const amount = leg.premium * leg.quantity * contractSize;
+            const isLong = leg.action === 'Buy';
+            lines.push({
+                legs: legLabel(index),
+                rule: isLong ? 'Long option, paid in full' : 'Short option premium received',
+                detail: `${money(leg.premium)} × ${contractSize} × ${leg.quantity}`,
+                requirement: isLong ? amount : 0,
+                credit: isLong ? 0 : amount
+            });
+        });
+
+        const shorts = optionEntries.filter(({ leg }) => leg.action === 'Sell')
+            .map(({ leg, index }) => ({ leg, index, remaining: leg.quantity, days: this.strategies.getLegDaysToExpiration(leg, marketParams) }));
+        const longs = optionEntries.filter(({ leg }) => leg.action === 'Buy')
+            .map(({ leg, index }) => ({ leg, index, remaining: leg.quantity, days: this.strategies.getLegDaysToExpiration(leg, marketParams) }));
+
+        // 1. Short calls covered by long stock, short puts by short stock (100 shares per contract)
+        entries.filter(({ leg }) => leg.type === 'Stock').forEach(({ leg, index }) => {
+            let coverable = Math.floor(leg.quantity / contractSize);
+            const coveredType = leg.action === 'Buy' ? 'Call' : 'Put';
+            shorts.filter(short => short.leg.type === coveredType).forEach(short => {
+                const covered = Math.min(coverable, short.remaining);
+                if (covered <= 0) return;
+                coverable -= covered;
+                short.remaining -= covered;
+                lines.push({
+                    legs: `${legLabel(short.index)} / ${legLabel(index)}`,
+                    rule: `Covered ${coveredType.toLowerCase()}`,
+                    detail: `${covered} contract(s) covered by ${covered * contractSize} shares`,
+                    requirement: 0,
+                    credit: 0
+                });
+            });
+        });
+
+        // 2. Spreads: a short paired with a long of the same type expiring no earlier; the requirement is the
+        // most the pair can lose on the strikes alone
+        const sides = { Call: 0, Put: 0 };
+        const pairs = { Call: [], Put: [] };
+        const widthLoss = (short, long) => (short.leg.type === 'Call' ?
+            Math.max(long.leg.strike - short.leg.strike, 0) :
+            Math.max(short.leg.strike - long.leg.strike, 0));
+
+        shorts.forEach(short => {
+            while (short.remaining > 0) {
+                const candidates = longs.filter(long =>
+                    long.remaining > 0 && long.leg.type === short.leg.type && long.days >= short.days);
+                if (candidates.length === 0) break;
+
+                const long = candidates.reduce((best, candidate) =>
+                    widthLoss(short, candidate) < widthLoss(short, best) ? candidate : best);
+                const count = Math.min(short.remaining, long.remaining);
+                const width = widthLoss(short, long);
+                short.remaining -= count;
+                long.remaining -= count;
+
+                const requirement = width * contractSize * count;
+                sides[short.leg.type] += requirement;
+                pairs[short.leg.type].push({ short: short.leg, long: long.leg, count: count, requirement: requirement });
+                lines.push({
+                    legs: `${legLabel(short.index)} / ${legLabel(long.index)}`,
+                    rule: `${short.leg.type} spread`,
+                    detail: short.leg.type === 'Call' ?
+                        `max(${long.leg.strike} − ${short.leg.strike}, 0) × ${contractSize} × ${count}` :
+                        `max(${short.leg.strike} − ${long.leg.strike}, 0) × ${contractSize} × ${count}`,
+                    requirement: requirement,
+                    credit: 0
+                });
+            }
+        });
+
+        // 2b. Spreads of the same type as one group: the group can lose no more than its worst strike payoff,
+        // which is less than the sum of its spreads when they offset (the two halves of a butterfly)
+        Object.keys(pairs).forEach(type => {
+            if (pairs[type].length < 2) return;
+
+            const intrinsic = (strike, price) => (type === 'Call' ? Math.max(price - strike, 0) : Math.max(strike - price, 0));
+            const payoff = price => pairs[type].reduce((sum, pair) =>
+                sum + (intrinsic(pair.long.strike, price) - intrinsic(pair.short.strike, price)) * pair.count, 0);
+            // The payoff is piecewise linear and flat beyond the strikes, so its minimum is at a strike
+            const strikes = pairs[type].flatMap(pair => [pair.short.strike, pair.long.strike]);
+            const groupLoss = Math.max(-Math.min(...strikes.map(payoff)), 0) * contractSize;
+            const spreadTotal = pairs[type].reduce((sum, pair) => sum + pair.requirement, 0);
+            if (groupLoss >= spreadTotal) return;
+
+            sides[type] -= spreadTotal - groupLoss;
+            lines.push({
+                legs: `${type} spreads`,
+                rule: 'Defined-risk group',
+                detail: `max loss on the strikes ${money(groupLoss)} instead of ${money(spreadTotal)}`,
+                requirement: groupLoss - spreadTotal,
+                credit: 0
+            });
+        });
+
+        // 3. Naked shorts: the option's premium plus 20% of the underlying less the out-of-the-money amount,
+        // with a 10% minimum. Cash-secured puts set aside the full strike instead.
+        shorts.filter(short => short.remaining > 0).forEach(short => {
+            const { strike, type } = short.leg;
+            const count = short.remaining;
+
+            if (type === 'Put' && cashSecuredPuts) {
+                const requirement = strike * contractSize * count;
+                lines.push({
+                    legs: legLabel(short.index),
+                    rule: 'Cash-secured put',
+                    detail: `${money(strike)} × ${contractSize} × ${count}`,
+                    requirement: requirement,
+                    credit: 0
+                });
+                return;
+            }
+
+            const outOfTheMoney = type === 'Call' ? Math.max(strike - spot, 0) : Math.max(spot - strike, 0);
+            const minimumBase = type === 'Call' ? spot : strike;
+            const perShare = Math.max(this.nakedRate * spot - outOfTheMoney, this.minimumRate * minimumBase);
+            // The greater-side rule compares requirements excluding premium
+            sides[type] += perShare * contractSize * count;
+            lines.push({
+                legs: legLabel(short.index),
+                rule: `Naked ${type.toLowerCase()}`,
+                detail: `(${money(short.leg.premium)} + max(20% × ${money(spot)} − ${money(outOfTheMoney)}, ` +
+                    `10% × ${money(minimumBase)})) × ${contractSize} × ${count}`,
+                requirement: (short.leg.premium + perShare) * contractSize * count,
+                credit: 0
+            });
+        });
+
+        // 4. Calls and puts cannot both finish in the money, so only the greater side is required
+        if (sides.Call > 0 && sides.Put > 0) {
+            const reduction = Math.min(sides.Call, sides.Put);
+            lines.push({
+                legs: 'Call / put sides',
+                rule: 'Greater side only',
+                detail: `max(${money(sides.Call)}, ${money(sides.Put)}) instead of the sum`,
+                requirement: -reduction,
+                credit: 0
+            });
+        }
+
+        const requirement = lines.reduce((sum, line) => sum + line.requirement, 0);
+        const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+
+        return {
+            requirement: requirement,
+            credit: credit,
+            buyingPower: Math.max(requirement - credit, 0),
+            lines: lines
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarginCalculator;
+} else {
+    window.MarginCalculator = MarginCalculator;
+}
@@ -0,0 +1,242 @@
+// Monte Carlo Simulation of Strategy Outcomes
+// Simulates seeded GBM (optionally Merton jump-diffusion) price paths over the life of the trade
+// and revalues the position along each path through OptionsStrategies. Daily marks for the profit target and
+// stop loss use Black-Scholes; the active pricing model only values the position at the front-month expiry.
+
+class MonteCarloSimulator {
+    constructor(strategies) {
+        this.strategies = strategies;
+        this.gridSize = 201; // Spot prices a slow (tree) model is run at before interpolating across paths
+    }
+
+    // Mulberry32 generator: small, fast and reproducible for a given seed
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draws via Box-Muller
+    createNormal(random) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            let u = 0;
+            while (u === 0) u = random();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            const angle = 2 * Math.PI * random();
+            spare = radius * Math.sin(angle);
+            return radius * Math.cos(angle);
+        };
+    }
+
+    // Poisson draw (Knuth) for the number of jumps in a step
+    samplePoisson(mean, random) {
+        if (mean <= 0) return 0;
+        const limit = Math.exp(-mean);
+        let count = 0;
+        let product = random();
+        while (product > limit) {
+            count++;
+            product *= random();
+        }
+        return count;
+    }
+
+    /**
+     * Run the simulation
+     * @param {Array} legs - Position legs
+     * @param {Object} marketParams - Market parameters from getMarketParams()
+     * @param {Object} options - { paths, seed, profitTarget, stopLoss, jumpIntensity, jumpMean, jumpVolatility }
+     *   profitTarget and stopLoss are positive dollar amounts; jump inputs are per year / in log-return units
+     * @returns {Object} - Terminal P&L statistics, hit probabilities and histogram
+     */
+    simulate(legs, marketParams, options = {}) {
+        const {
+            paths = 2000,
+            seed = 42,
+            profitTarget = null,
+            stopLoss = null,
+            jumpIntensity = 0,
+            jumpMean = 0,
+            jumpVolatility = 0
+        } = options;
+
+        const random = this.createRandom(seed);
+        const normal = this.createNormal(random);
+
+        const { currentPrice, riskFreeRate, volatility } = marketParams;
+        const dividendYield = marketParams.dividendYield || 0;
+        const dividends = marketParams.dividends || [];
+        const days = Math.max(Math.ceil(this.strategies.getFrontExpirationDays(legs, marketParams)), 1);
+        const dt = 1 / 365;
+
+        // Risk-neutral drift, compensated for the expected jump size
+        const jumpCompensation = jumpIntensity * (Math.exp(jumpMean + 0.5 * jumpVolatility * jumpVolatility) - 1);
+        const stepDrift = (riskFreeRate - dividendYield - jumpCompensation - 0.5 * volatility * volatility) * dt;
+        const stepVolatility = volatility * Math.sqrt(dt);
+
+        const prices = new Array(paths).fill(currentPrice);
+        const hitTarget = new Array(paths).fill(false);
+        const hitStop = new Array(paths).fill(false);
+        const tracksExits = profitTarget !== null || stopLoss !== null;
+        let pls = [];
+
+        for (let day = 1; day <= days; day++) {
+            for (let path = 0; path < paths; path++) {
+                let logReturn = stepDrift + stepVolatility * normal();
+                const jumps = this.samplePoisson(jumpIntensity * dt, random);
+                for (let j = 0; j < jumps; j++) {
+                    logReturn += jumpMean + jumpVolatility * normal();
+                }
+                prices[path] *= Math.exp(logReturn);
+            }
+
+            // Discrete dividends drop the share price on the ex-date
+            dividends.forEach(dividend => {
+                if (dividend.daysToExDate > day - 1 && dividend.daysToExDate <= day) {
+                    for (let path = 0; path < paths; path++) {
+                        prices[path] = Math.max(prices[path] - dividend.amount, 0.01);
+                    }
+                }
+            });
+
+            // Revalue every path at once for this date (the final step is the front-month expiry). Marks before
+            // expiry are only needed for the exits, and use Black-Scholes so a tree model is not run every day.
+            const isLastDay = day === days;
+            if (!isLastDay && !tracksExits) continue;
+            const stepParams = isLastDay ?
+                { ...marketParams, daysElapsed: this.strategies.getFrontExpirationDays(legs, marketParams) } :
+                { ...marketParams, daysElapsed: day, pricingModel: this.strategies.blackScholes };
+            pls = this.revaluePaths(legs, prices, stepParams);
+
+            for (let path = 0; path < paths; path++) {
+                if (profitTarget !== null && !hitTarget[path] && !hitStop[path] && pls[path] >= profitTarget) {
+                    hitTarget[path] = true;
+                }
+                if (stopLoss !== null && !hitStop[path] && !hitTarget[path] && pls[path] <= -stopLoss) {
+                    hitStop[path] = true;
+                }
+            }
+        }
+
+        return this.summarize(pls, {
+            paths: paths,
+            days: days,
+            seed: seed,
+            profitTargetProbability: profitTarget !== null ? hitTarget.filter(Boolean).length / paths : null,
+            stopLossProbability: stopLoss !== null ? hitStop.filter(Boolean).length / paths : null
+        });
+    }
+
+    // P&L of every path. Black-Scholes values each path directly; any other model values the position on an
+    // even grid of spot prices spanning the paths, and each path is interpolated from its neighbouring points.
+    revaluePaths(legs, prices, marketParams) {
+        const model = marketParams.pricingModel || this.strategies.pricingModel;
+        if (model === this.strategies.blackScholes || prices.length <= this.gridSize) {
+            return this.strategies.calculateStrategyPL(legs, prices, marketParams);
+        }
+
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const step = (high - low) / (this.gridSize - 1);
+        if (!(step > 0)) return this.strategies.calculateStrategyPL(legs, prices, marketParams);
+
+        const grid = Array.from({ length: this.gridSize }, (_, i) => low + step * i);
+        const gridPLs = this.strategies.calculateStrategyPL(legs, grid, marketParams);
+        return prices.map(price => {
+            const position = Math.min((price - low) / step, this.gridSize - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, this.gridSize - 1);
+            return gridPLs[lower] + (gridPLs[upper] - gridPLs[lower]) * (position - lower);
+        });
+    }
+
+    // Linear-interpolated percentile of a sorted array (p in [0, 1])
+    percentile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    // Value at risk and expected shortfall at a confidence level, reported as positive losses
+    calculateTailRisk(sorted, confidence) {
+        const cutoff = this.percentile(sorted, 1 - confidence);
+        const tail = sorted.filter(pl => pl <= cutoff);
+        const tailMean = tail.reduce((sum, pl) => sum + pl, 0) / tail.length;
+        return {
+            valueAtRisk: Math.max(-cutoff, 0),
+            conditionalValueAtRisk: Math.max(-tailMean, 0)
+        };
+    }
+
+    buildHistogram(sorted, binCount = 30) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / binCount || 1;
+        const counts = new Array(binCount).fill(0);
+
+        sorted.forEach(pl => {
+            const bin = Math.min(Math.floor((pl - min) / width), binCount - 1);
+            counts[bin]++;
+        });
+
+        return counts.map((count, index) => ({
+            from: min + index * width,
+            to: min + (index + 1) * width,
+            count: count
+        }));
+    }
+
+    // FNV-1a hash of the terminal P&Ls to the cent, so a rerun with the same seed and inputs can be checked
+    // against an earlier one at a glance
+    calculateFingerprint(pls) {
+        let hash = 0x811C9DC5;
+        pls.forEach(pl => {
+            const text = Math.round(pl * 100).toString();
+            for (let i = 0; i < text.length; i++) {
+                hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+            }
+        });
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    summarize(pls, details) {
+        const sorted = [...pls].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, pl) => sum + pl, 0) / sorted.length;
+
+        return {
+            ...details,
+            mean: mean,
+            percentiles: {
+                p5: this.percentile(sorted, 0.05),
+                p25: this.percentile(sorted, 0.25),
+                p50: this.percentile(sorted, 0.5),
+                p75: this.percentile(sorted, 0.75),
+                p95: this.percentile(sorted, 0.95)
+            },
+            risk95: this.calculateTailRisk(sorted, 0.95),
+            risk99: this.calculateTailRisk(sorted, 0.99),
+            probabilityOfProfit: sorted.filter(pl => pl > 0).length / sorted.length,
+            histogram: this.buildHistogram(sorted),
+            fingerprint: this.calculateFingerprint(pls)
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloSimulator;
+} else {
+    window.MonteCarloSimulator = MonteCarloSimulator;
+}
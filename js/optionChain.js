@@ -0,0 +1,260 @@
+// Option Chain Import
+// Parses an option chain from CSV or JSON into validated quotes that legs can be filled from.
+// Expiry may be a date (YYYY-MM-DD) or a number of days; IV may be a decimal (0.25) or a percentage (25).
+// IV is a percentage when its header or cell carries a % sign; otherwise values above 3 are read as percentages.
+
+class OptionChain {
+    constructor() {
+        this.quotes = [];
+
+        // Accepted header spellings for each column, compared case- and punctuation-insensitively
+        this.columnAliases = {
+            expiry: ['expiry', 'expiration', 'expirationdate', 'exp', 'expdate', 'dte', 'days'],
+            strike: ['strike', 'strikeprice', 'k'],
+            type: ['type', 'optiontype', 'callput', 'putcall', 'cp', 'right'],
+            bid: ['bid'],
+            ask: ['ask', 'offer'],
+            last: ['last', 'lastprice', 'mark', 'price'],
+            iv: ['iv', 'impliedvolatility', 'impliedvol', 'volatility', 'vol'],
+            openInterest: ['oi', 'openinterest']
+        };
+        this.requiredColumns = ['expiry', 'strike', 'type'];
+        this.priceColumns = ['bid', 'ask', 'last'];
+    }
+
+    // Parse CSV or JSON text (detected from the first character) and keep the valid quotes.
+    // Returns { quotes, errors: [{ line, message }], missingColumns }
+    parse(text, today = new Date()) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            return this.finish([], [{ line: null, message: 'The file is empty.' }], []);
+        }
+
+        let records;
+        try {
+            records = trimmed.startsWith('[') || trimmed.startsWith('{') ?
+                this.parseJSON(trimmed) :
+                this.parseCSV(trimmed);
+        } catch (error) {
+            return this.finish([], [{ line: null, message: error.message }], []);
+        }
+
+        const columns = this.mapColumns(records.fields);
+        const missingColumns = this.requiredColumns.filter(column => !columns[column]);
+        if (!this.priceColumns.some(column => columns[column])) missingColumns.push('bid/ask/last');
+        if (missingColumns.length > 0) {
+            return this.finish([], [{ line: null, message: `Missing column(s): ${missingColumns.join(', ')}.` }], missingColumns);
+        }
+
+        const quotes = [];
+        const errors = [];
+        records.rows.forEach(({ line, values }) => {
+            const result = this.parseQuote(values, columns, today);
+            if (result.error) {
+                errors.push({ line: line, message: result.error });
+            } else {
+                quotes.push(result.quote);
+            }
+        });
+
+        quotes.sort((a, b) => a.daysToExpiration - b.daysToExpiration || a.type.localeCompare(b.type) || a.strike - b.strike);
+        quotes.forEach((quote, index) => {
+            quote.id = index;
+        });
+        return this.finish(quotes, errors, []);
+    }
+
+    finish(quotes, errors, missingColumns) {
+        this.quotes = quotes;
+        return { quotes: quotes, errors: errors, missingColumns: missingColumns };
+    }
+
+    // Rows as { fields, rows: [{ line, values: { field: text } }] }
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/);
+        const fields = this.splitCSVLine(lines[0]);
+        const rows = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const cells = this.splitCSVLine(lines[i]);
+            const values = {};
+            fields.forEach((field, index) => {
+                values[field] = cells[index];
+            });
+            rows.push({ line: i + 1, values: values });
+        }
+        return { fields, rows };
+    }
+
+    // Split one CSV line, honouring double-quoted cells and "" escapes
+    splitCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    // Accepts an array of quote objects or { quotes: [...] } / { options: [...] }
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const list = Array.isArray(data) ? data : (data.quotes || data.options || data.chain);
+        if (!Array.isArray(list)) {
+            throw new Error('JSON must be an array of quotes or an object with a "quotes" array.');
+        }
+
+        const fields = [];
+        list.forEach(item => {
+            Object.keys(item || {}).forEach(key => {
+                if (!fields.includes(key)) fields.push(key);
+            });
+        });
+        return {
+            fields: fields,
+            rows: list.map((item, index) => ({ line: index + 1, values: item || {} }))
+        };
+    }
+
+    // Map canonical column names to the file's field names
+    mapColumns(fields) {
+        const simplify = name => String(name).toLowerCase().replace(/[^a-z]/g, '');
+        const columns = {};
+        Object.keys(this.columnAliases).forEach(column => {
+            columns[column] = fields.find(field => this.columnAliases[column].includes(simplify(field))) || null;
+        });
+        return columns;
+    }
+
+    // Validate one record; returns { quote } or { error }
+    parseQuote(values, columns, today) {
+        const read = column => (columns[column] ? values[columns[column]] : undefined);
+        const number = column => {
+            const raw = read(column);
+            if (raw === undefined || raw === null || raw === '') return null;
+            const parsed = parseFloat(String(raw).replace(/[$,%]/g, ''));
+            return Number.isFinite(parsed) ? parsed : NaN;
+        };
+
+        const type = this.parseType(read('type'));
+        if (!type) return { error: `Unrecognised option type "${read('type') ?? ''}".` };
+
+        const strike = number('strike');
+        if (!(strike > 0)) return { error: 'Strike must be a positive number.' };
+
+        const expiry = this.parseExpiry(read('expiry'), today);
+        if (!expiry) return { error: `Unrecognised expiry "${read('expiry') ?? ''}".` };
+
+        const prices = {};
+        for (const column of [...this.priceColumns, 'iv', 'openInterest']) {
+            const value = number(column);
+            if (Number.isNaN(value) || (value !== null && value < 0)) {
+                return { error: `${column === 'openInterest' ? 'Open interest' : column.toUpperCase()} must be a non-negative number.` };
+            }
+            prices[column] = value;
+        }
+        if (prices.bid === null && prices.ask === null && prices.last === null) {
+            return { error: 'Row has no bid, ask or last price.' };
+        }
+        if (prices.bid !== null && prices.ask !== null && prices.bid > prices.ask) {
+            return { error: 'Bid is above ask.' };
+        }
+
+        const ivIsPercent = String(columns.iv ?? '').includes('%') || String(read('iv') ?? '').includes('%') ||
+            prices.iv > 3;
+
+        return {
+            quote: {
+                expiry: expiry.label,
+                daysToExpiration: expiry.days,
+                type: type,
+                strike: strike,
+                bid: prices.bid,
+                ask: prices.ask,
+                last: prices.last,
+                iv: prices.iv === null || prices.iv === 0 ? null : (ivIsPercent ? prices.iv / 100 : prices.iv),
+                openInterest: prices.openInterest
+            }
+        };
+    }
+
+    parseType(value) {
+        const text = String(value ?? '').trim().toLowerCase();
+        if (['c', 'call', 'calls'].includes(text)) return 'Call';
+        if (['p', 'put', 'puts'].includes(text)) return 'Put';
+        return null;
+    }
+
+    // A calendar date (counted from today) or a plain number of days
+    parseExpiry(value, today) {
+        const text = String(value ?? '').trim();
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const days = Math.round(parseFloat(text));
+            return { label: `${days}d`, days: days };
+        }
+
+        const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+        const expiry = Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+        const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+        if (Number.isNaN(expiry)) return null;
+
+        const days = Math.round((expiry - start) / 86400000);
+        return days >= 0 ? { label: text, days: days } : null;
+    }
+
+    // Premium for a basis ('mid' | 'bid' | 'ask' | 'last'), falling back to whichever prices exist
+    getPremium(quote, basis = 'mid') {
+        const mid = quote.bid !== null && quote.ask !== null ? (quote.bid + quote.ask) / 2 : null;
+        const order = {
+            mid: [mid, quote.last, quote.ask, quote.bid],
+            bid: [quote.bid, mid, quote.last],
+            ask: [quote.ask, mid, quote.last],
+            last: [quote.last, mid, quote.ask, quote.bid]
+        }[basis] || [mid, quote.last];
+        const premium = order.find(value => value !== null && value !== undefined);
+        return premium === undefined ? null : premium;
+    }
+
+    getExpirations() {
+        return [...new Set(this.quotes.map(quote => quote.expiry))];
+    }
+
+    filter(expiry = '', type = '') {
+        return this.quotes.filter(quote => (!expiry || quote.expiry === expiry) && (!type || quote.type === type));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptionChain;
+} else {
+    window.OptionChain = OptionChain;
+}
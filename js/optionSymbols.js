@@ -0,0 +1,209 @@
+// Option Symbol Notation
+// Converts between legs and two text notations:
+//   OCC symbols:  "SPY   250117C00450000"  (root padded to 6, YYMMDD, C/P, strike x 1000 in 8 digits)
+//   Shorthand:    "-2 SPY 450C 2025-01-17 @3.20"  (signed quantity, negative = sold; "@price" optional)
+// A signed quantity and "@price" may also surround an OCC symbol, and a line with no strike
+// (e.g. "100 SPY @450") is a stock leg quantified in shares.
+
+class OptionSymbols {
+    constructor() {
+        this.occPattern = /^([A-Z][A-Z0-9.]{0,5})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+    }
+
+    // Parse pasted text, one leg per line. Blank lines and lines starting with # are ignored.
+    // Returns { entries: [{ line, leg, symbol, expiry }], errors: [{ line, text, message }], symbols }
+    parseLines(text, today = new Date()) {
+        const entries = [];
+        const errors = [];
+
+        (text || '').split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const result = this.parseLine(line, today);
+            if (result.error) {
+                errors.push({ line: index + 1, text: line, message: result.error });
+            } else {
+                entries.push({ line: index + 1, ...result });
+            }
+        });
+
+        return {
+            entries: entries,
+            errors: errors,
+            symbols: [...new Set(entries.map(entry => entry.symbol))]
+        };
+    }
+
+    // Parse one line into { leg, symbol, expiry } or { error }
+    parseLine(line, today = new Date()) {
+        // Pull out "@price" first, then collapse the padded OCC root into one token
+        let premium = null;
+        let text = line.replace(/@\s*(\S+)\s*$/, (match, price) => {
+            premium = price;
+            return '';
+        }).trim();
+        if (premium !== null) {
+            premium = parseFloat(premium.replace(/^\$/, ''));
+            if (!(premium >= 0)) return { error: 'Price after "@" must be a non-negative number.' };
+        }
+
+        let quantity = 1;
+        const quantityMatch = text.match(/^([+-]?\d+(\.\d+)?)\s+(.*)$/);
+        if (quantityMatch) {
+            quantity = parseFloat(quantityMatch[1]);
+            text = quantityMatch[3];
+        }
+        if (quantity === 0) return { error: 'Quantity must not be zero.' };
+
+        const action = quantity < 0 ? 'Sell' : 'Buy';
+        const size = Math.abs(quantity);
+        const occ = this.parseOCC(text.toUpperCase());
+        if (occ) {
+            return this.buildOptionLeg(occ, action, size, premium, today);
+        }
+        if (/^[A-Z]{1,6}\s*\d{6}[CP]\d+$/i.test(text)) {
+            return { error: `"${text}" looks like an OCC symbol but the strike must be exactly 8 digits.` };
+        }
+
+        const tokens = text.split(/\s+/);
+        const symbol = tokens.shift().toUpperCase();
+        if (!/^[A-Z][A-Z0-9.]{0,5}$/.test(symbol)) {
+            return { error: `"${symbol}" is not a valid underlying symbol.` };
+        }
+
+        // Stock: just a symbol
+        if (tokens.length === 0) {
+            if (!Number.isInteger(size)) return { error: 'Share quantity must be a whole number.' };
+            return {
+                symbol: symbol,
+                expiry: null,
+                leg: { action: action, type: 'Stock', strike: 0, premium: premium ?? 0, quantity: size }
+            };
+        }
+
+        let strikeToken = null;
+        let dateToken = null;
+        for (const token of tokens) {
+            if (/^\d+(\.\d+)?[CP]$/i.test(token) && strikeToken === null) {
+                strikeToken = token.toUpperCase();
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(token) && dateToken === null) {
+                dateToken = token;
+            } else {
+                return { error: `Unexpected "${token}"; expected a strike like 450C and an expiry like 2025-01-17.` };
+            }
+        }
+        if (strikeToken === null) return { error: 'Missing strike and type, e.g. 450C or 95P.' };
+        if (dateToken === null) return { error: 'Missing expiry date (YYYY-MM-DD).' };
+
+        const [year, month, day] = dateToken.split('-').map(Number);
+        return this.buildOptionLeg({
+            symbol: symbol,
+            year: year,
+            month: month,
+            day: day,
+            type: strikeToken.endsWith('C') ? 'Call' : 'Put',
+            strike: parseFloat(strikeToken)
+        }, action, size, premium, today);
+    }
+
+    // OCC symbol parts, or null when the text is not an OCC symbol
+    parseOCC(text) {
+        const match = text.trim().match(this.occPattern);
+        if (!match) return null;
+        return {
+            symbol: match[1],
+            year: 2000 + parseInt(match[2]),
+            month: parseInt(match[3]),
+            day: parseInt(match[4]),
+            type: match[5] === 'C' ? 'Call' : 'Put',
+            strike: parseInt(match[6]) / 1000
+        };
+    }
+
+    buildOptionLeg(parts, action, quantity, premium, today) {
+        const expiry = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+        if (expiry.getUTCMonth() !== parts.month - 1 || expiry.getUTCDate() !== parts.day) {
+            return { error: `${parts.year}-${this.pad(parts.month)}-${this.pad(parts.day)} is not a valid date.` };
+        }
+        if (!(parts.strike > 0)) return { error: 'Strike must be positive.' };
+        if (!Number.isInteger(quantity)) return { error: 'Contract quantity must be a whole number.' };
+
+        const days = this.daysBetween(today, expiry);
+        if (days < 0) return { error: `Expiry ${this.formatDate(expiry)} is in the past.` };
+
+        return {
+            symbol: parts.symbol,
+            expiry: this.formatDate(expiry),
+            leg: {
+                action: action,
+                type: parts.type,
+                strike: parts.strike,
+                premium: premium ?? 0,
+                quantity: quantity,
+                daysToExpiration: days
+            }
+        };
+    }
+
+    // Whole calendar days from today's local date to a UTC date
+    daysBetween(today, expiry) {
+        const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+        return Math.round((expiry.getTime() - start) / 86400000);
+    }
+
+    pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    formatDate(date) {
+        return `${date.getUTCFullYear()}-${this.pad(date.getUTCMonth() + 1)}-${this.pad(date.getUTCDate())}`;
+    }
+
+    // Expiry date of a leg, counted from today
+    getExpiryDate(days, today = new Date()) {
+        return new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() + Math.round(days)));
+    }
+
+    formatStrike(strike) {
+        return String(parseFloat(strike.toFixed(3)));
+    }
+
+    // "SPY   250117C00450000"
+    formatOCC(symbol, expiryDate, type, strike) {
+        const root = symbol.toUpperCase().padEnd(6, ' ');
+        const date = `${String(expiryDate.getUTCFullYear()).slice(-2)}${this.pad(expiryDate.getUTCMonth() + 1)}${this.pad(expiryDate.getUTCDate())}`;
+        const strikeDigits = String(Math.round(strike * 1000)).padStart(8, '0');
+        return `${root}${date}${type === 'Call' ? 'C' : 'P'}${strikeDigits}`;
+    }
+
+    // One text line for a leg in 'shorthand' or 'occ' notation; stock legs are always shorthand.
+    // Legs without their own expiration use defaultDays.
+    formatLeg(leg, symbol, defaultDays, notation = 'shorthand', today = new Date()) {
+        const signedQuantity = `${leg.action === 'Sell' ? '-' : ''}${leg.quantity}`;
+        const price = leg.premium ? ` @${leg.premium.toFixed(2)}` : '';
+        const underlying = symbol.toUpperCase();
+
+        if (leg.type === 'Stock') {
+            return `${signedQuantity} ${underlying}${price}`;
+        }
+
+        const days = leg.daysToExpiration ?? defaultDays;
+        const expiry = this.getExpiryDate(days, today);
+        if (notation === 'occ') {
+            return `${signedQuantity} ${this.formatOCC(underlying, expiry, leg.type, leg.strike)}${price}`;
+        }
+        return `${signedQuantity} ${underlying} ${this.formatStrike(leg.strike)}${leg.type === 'Call' ? 'C' : 'P'} ${this.formatDate(expiry)}${price}`;
+    }
+
+    formatLegs(legs, symbol, defaultDays, notation = 'shorthand', today = new Date()) {
+        return legs.map(leg => this.formatLeg(leg, symbol, defaultDays, notation, today)).join('\n');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptionSymbols;
+} else {
+    window.OptionSymbols = OptionSymbols;
+}
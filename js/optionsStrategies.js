@@ -3,6 +3,20 @@
 class OptionsStrategies {
     constructor() {
         this.blackScholes = new BlackScholes();
+        this.contractMultiplier = 100; // Shares per option contract
+        this.greekNames = ['delta', 'gamma', 'theta', 'vega', 'rho', 'vanna', 'charm', 'vomma', 'speed', 'color'];
+
+        // Pricing models expose calculateCallPrice, calculatePutPrice and calculateAllMetrics
+        // with the BlackScholes signatures, so any of them can value the legs
+        this.pricingModels = {
+            'black-scholes': this.blackScholes,
+            'binomial': new BinomialTree()
+        };
+        this.pricingModel = this.blackScholes;
+        // Declarative templates. Each leg has an action, type and ratio (stock ratios are in round lots of
+        // 100 shares) and places its strike as an offset from spot: { percent }, { dollars } or a target
+        // { delta } (absolute, so 0.25 means a 25-delta call or put). Back-month legs set expirationOffset,
+        // the number of days they expire after the global expiration.
         this.strategies = {
             'long-call': {
                 name: 'Long Call',
@@ -10,7 +24,7 @@ class OptionsStrategies {
                 riskLevel: 'Low',
                 complexity: 'Beginner',
                 legs: [
-                    { action: 'Buy', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 5 } }
                 ]
             },
             'long-put': {
@@ -19,7 +33,7 @@ class OptionsStrategies {
                 riskLevel: 'Low',
                 complexity: 'Beginner',
                 legs: [
-                    { action: 'Buy', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } }
                 ]
             },
             'short-call': {
@@ -28,7 +42,7 @@ class OptionsStrategies {
                 riskLevel: 'High',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Sell', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } }
                 ]
             },
             'short-put': {
@@ -37,7 +51,7 @@ class OptionsStrategies {
                 riskLevel: 'High',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Sell', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } }
                 ]
             },
             'long-straddle': {
@@ -46,8 +60,8 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Buy', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Buy', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: 0 } }
                 ]
             },
             'short-straddle': {
@@ -56,8 +70,8 @@ class OptionsStrategies {
                 riskLevel: 'High',
                 complexity: 'Advanced',
                 legs: [
-                    { action: 'Sell', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Sell', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: 0 } }
                 ]
             },
             'long-strangle': {
@@ -66,8 +80,8 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Buy', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Buy', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } }
                 ]
             },
             'short-strangle': {
@@ -76,8 +90,8 @@ class OptionsStrategies {
                 riskLevel: 'High',
                 complexity: 'Advanced',
                 legs: [
-                    { action: 'Sell', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Sell', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } }
                 ]
             },
             'bull-call-spread': {
@@ -86,8 +100,8 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Buy', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Sell', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 2 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 8 } }
                 ]
             },
             'bear-call-spread': {
@@ -96,8 +110,8 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Sell', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Buy', type: 'Call', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 2 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 8 } }
                 ]
             },
             'bull-put-spread': {
@@ -106,8 +120,8 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Sell', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Buy', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -10 } }
                 ]
             },
             'bear-put-spread': {
@@ -116,11 +130,267 @@ class OptionsStrategies {
                 riskLevel: 'Medium',
                 complexity: 'Intermediate',
                 legs: [
-                    { action: 'Buy', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 },
-                    { action: 'Sell', type: 'Put', defaultStrike: 0, defaultPremium: 0, quantity: 1 }
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -10 } }
+                ]
+            },
+            'iron-condor': {
+                name: 'Iron Condor',
+                description: 'Neutral income strategy. Sell an out-of-the-money put spread and call spread, profiting if the stock stays between the short strikes.',
+                riskLevel: 'Medium',
+                complexity: 'Intermediate',
+                legs: [
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -10 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 10 } }
+                ]
+            },
+            'iron-butterfly': {
+                name: 'Iron Butterfly',
+                description: 'Neutral income strategy. Sell an at-the-money straddle and buy out-of-the-money wings to cap the risk.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 5 } }
                 ]
+            },
+            'long-call-butterfly': {
+                name: 'Long Call Butterfly',
+                description: 'Neutral strategy. Buy one lower and one higher strike call and sell two at-the-money calls; profits most if the stock pins the middle strike.',
+                riskLevel: 'Low',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Call', ratio: 2, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 5 } }
+                ]
+            },
+            'long-put-butterfly': {
+                name: 'Long Put Butterfly',
+                description: 'Neutral strategy. Buy one higher and one lower strike put and sell two at-the-money puts; profits most if the stock pins the middle strike.',
+                riskLevel: 'Low',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Sell', type: 'Put', ratio: 2, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } }
+                ]
+            },
+            'short-call-butterfly': {
+                name: 'Short Call Butterfly',
+                description: 'Volatility strategy. Sell the butterfly wings and buy two at-the-money calls; profits if the stock moves well away from the middle strike.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Buy', type: 'Call', ratio: 2, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } }
+                ]
+            },
+            'short-put-butterfly': {
+                name: 'Short Put Butterfly',
+                description: 'Volatility strategy. Sell the butterfly wings and buy two at-the-money puts; profits if the stock moves well away from the middle strike.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Buy', type: 'Put', ratio: 2, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } }
+                ]
+            },
+            'broken-wing-butterfly': {
+                name: 'Broken-Wing Butterfly',
+                description: 'Directional butterfly. The upper call wing is placed further out than the lower one, reducing the cost (often to a credit) in exchange for risk above the upper strike.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Call', ratio: 2, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 10 } }
+                ]
+            },
+            'call-ratio-spread': {
+                name: 'Call Ratio Spread',
+                description: 'Moderately bullish strategy. Buy one at-the-money call and sell two higher strike calls; unlimited risk if the stock rallies hard.',
+                riskLevel: 'High',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Call', ratio: 2, strike: { percent: 5 } }
+                ]
+            },
+            'put-ratio-spread': {
+                name: 'Put Ratio Spread',
+                description: 'Moderately bearish strategy. Buy one at-the-money put and sell two lower strike puts; large risk if the stock collapses.',
+                riskLevel: 'High',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Sell', type: 'Put', ratio: 2, strike: { percent: -5 } }
+                ]
+            },
+            'call-backspread': {
+                name: 'Call Backspread',
+                description: 'Bullish volatility strategy. Sell one at-the-money call and buy two higher strike calls; profits from a strong rally.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Call', ratio: 2, strike: { percent: 5 } }
+                ]
+            },
+            'put-backspread': {
+                name: 'Put Backspread',
+                description: 'Bearish volatility strategy. Sell one at-the-money put and buy two lower strike puts; profits from a sharp decline.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Put', ratio: 2, strike: { percent: -5 } }
+                ]
+            },
+            'jade-lizard': {
+                name: 'Jade Lizard',
+                description: 'Neutral-to-bullish income strategy. Sell a put and a call spread; when the total credit exceeds the call spread width there is no upside risk.',
+                riskLevel: 'High',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { delta: 0.3 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { delta: 0.3 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { delta: 0.15 } }
+                ]
+            },
+            'risk-reversal': {
+                name: 'Risk Reversal',
+                description: 'Bullish strategy. Sell a 25-delta put to finance a 25-delta call, giving stock-like exposure beyond the strikes.',
+                riskLevel: 'High',
+                complexity: 'Intermediate',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { delta: 0.25 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { delta: 0.25 } }
+                ]
+            },
+            'box-spread': {
+                name: 'Box Spread',
+                description: 'Arbitrage structure. A bull call spread plus a bear put spread on the same strikes pays the strike width at expiration whatever the stock does.',
+                riskLevel: 'Low',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { dollars: -10 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { dollars: 10 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { dollars: 10 } },
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { dollars: -10 } }
+                ]
+            },
+            'covered-call': {
+                name: 'Covered Call',
+                description: 'Income strategy. Own 100 shares and sell a call against them, capping upside in exchange for premium.',
+                riskLevel: 'Medium',
+                complexity: 'Beginner',
+                legs: [
+                    { action: 'Buy', type: 'Stock', ratio: 1 },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } }
+                ]
+            },
+            'protective-put': {
+                name: 'Protective Put',
+                description: 'Hedging strategy. Own 100 shares and buy a put to limit downside on the existing position.',
+                riskLevel: 'Low',
+                complexity: 'Beginner',
+                legs: [
+                    { action: 'Buy', type: 'Stock', ratio: 1 },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } }
+                ]
+            },
+            'married-put': {
+                name: 'Married Put',
+                description: 'Bullish strategy with insurance. Buy 100 shares and an at-the-money put at the same time.',
+                riskLevel: 'Low',
+                complexity: 'Beginner',
+                legs: [
+                    { action: 'Buy', type: 'Stock', ratio: 1 },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: 0 } }
+                ]
+            },
+            'collar': {
+                name: 'Collar',
+                description: 'Hedging strategy. Own 100 shares, buy a protective put and sell a covered call to finance it.',
+                riskLevel: 'Low',
+                complexity: 'Intermediate',
+                legs: [
+                    { action: 'Buy', type: 'Stock', ratio: 1 },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } }
+                ]
+            },
+            'call-calendar': {
+                name: 'Call Calendar Spread',
+                description: 'Neutral strategy. Sell a front-month call and buy a back-month call at the same strike to collect faster front-month decay.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 0 }, expirationOffset: 30 }
+                ]
+            },
+            'put-calendar': {
+                name: 'Put Calendar Spread',
+                description: 'Neutral strategy. Sell a front-month put and buy a back-month put at the same strike to collect faster front-month decay.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: 0 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: 0 }, expirationOffset: 30 }
+                ]
+            },
+            'call-diagonal': {
+                name: 'Call Diagonal Spread',
+                description: 'Moderately bullish strategy. Buy a back-month call and sell a higher strike front-month call against it.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 0 }, expirationOffset: 30 }
+                ]
+            },
+            'double-diagonal': {
+                name: 'Double Diagonal',
+                description: 'Neutral strategy. Sell a front-month strangle and buy a wider back-month strangle to profit from time decay inside a range.',
+                riskLevel: 'Medium',
+                complexity: 'Advanced',
+                legs: [
+                    { action: 'Sell', type: 'Put', ratio: 1, strike: { percent: -5 } },
+                    { action: 'Buy', type: 'Put', ratio: 1, strike: { percent: -10 }, expirationOffset: 30 },
+                    { action: 'Sell', type: 'Call', ratio: 1, strike: { percent: 5 } },
+                    { action: 'Buy', type: 'Call', ratio: 1, strike: { percent: 10 }, expirationOffset: 30 }
+                ]
+            },
+            'custom': {
+                name: 'Custom',
+                description: 'Build your own position. Add, remove, duplicate and edit legs freely.',
+                riskLevel: 'Varies',
+                complexity: 'Custom',
+                legs: []
             }
         };
+        this.builtInStrategyKeys = Object.keys(this.strategies);
+    }
+
+    registerPricingModel(modelKey, model) {
+        this.pricingModels[modelKey] = model;
+    }
+
+    setPricingModel(modelKey) {
+        this.pricingModel = this.pricingModels[modelKey] || this.blackScholes;
+    }
+
+    // Whether the active model allows early exercise (anything other than European Black-Scholes)
+    isAmericanPricing() {
+        return this.pricingModel !== this.blackScholes;
     }
 
     getStrategy(strategyKey) {
@@ -131,88 +401,520 @@ class OptionsStrategies {
         return this.strategies;
     }
 
-    // Set default strikes based on current stock price
-    setDefaultStrikes(strategyKey, currentPrice) {
+    // Add a user-defined template (already checked with validateTemplate); built-in keys cannot be replaced
+    registerStrategy(strategyKey, template) {
+        if (this.isBuiltInStrategy(strategyKey)) return false;
+        this.strategies[strategyKey] = template;
+        return true;
+    }
+
+    unregisterStrategy(strategyKey) {
+        if (this.isBuiltInStrategy(strategyKey)) return false;
+        delete this.strategies[strategyKey];
+        return true;
+    }
+
+    isBuiltInStrategy(strategyKey) {
+        return this.builtInStrategyKeys.includes(strategyKey);
+    }
+
+    // Delta-placed strikes depend on volatility, rates and time as well as spot
+    usesDeltaStrikes(strategyKey) {
+        const strategy = this.strategies[strategyKey];
+        return Boolean(strategy && strategy.legs.some(leg => leg.strike && leg.strike.delta !== undefined));
+    }
+
+    // Listed strikes are whole dollars, or half dollars on low-priced underlyings
+    getStrikeIncrement(currentPrice) {
+        return currentPrice < 25 ? 0.5 : 1;
+    }
+
+    roundStrike(strike, currentPrice) {
+        const increment = this.getStrikeIncrement(currentPrice);
+        return Math.max(Math.round(strike / increment) * increment, increment);
+    }
+
+    // Unrounded strike for a template leg: { percent } and { dollars } offset from spot, { delta } is solved for
+    resolveTemplateStrike(templateLeg, marketParams, daysToExpiration) {
+        const currentPrice = marketParams.currentPrice;
+        const strike = templateLeg.strike || { percent: 0 };
+        let rawStrike = currentPrice;
+
+        if (strike.percent !== undefined) {
+            rawStrike = currentPrice * (1 + strike.percent / 100);
+        } else if (strike.dollars !== undefined) {
+            rawStrike = currentPrice + strike.dollars;
+        } else if (strike.delta !== undefined) {
+            rawStrike = this.findStrikeForDelta(templateLeg.type, strike.delta, marketParams, daysToExpiration);
+        }
+
+        return rawStrike;
+    }
+
+    // Round resolved strikes to listed increments, keeping legs of the same type and expiry that the template
+    // places at different strikes at least one increment apart (a 0.30 and a 0.15 delta call can otherwise
+    // round onto the same strike). legs: [{ type, strike (unrounded), days }]; returns the strikes in order.
+    roundTemplateStrikes(legs, currentPrice) {
+        const increment = this.getStrikeIncrement(currentPrice);
+        const strikes = legs.map(leg => this.roundStrike(leg.strike, currentPrice));
+
+        const order = legs.map((leg, index) => index).sort((a, b) => legs[a].strike - legs[b].strike);
+        order.forEach((index, position) => {
+            const previous = order.slice(0, position).reverse()
+                .find(other => legs[other].type === legs[index].type && legs[other].days === legs[index].days);
+            if (previous === undefined) return;
+
+            const isDistinct = legs[index].strike - legs[previous].strike > 1e-9;
+            if (isDistinct && strikes[index] <= strikes[previous]) {
+                strikes[index] = strikes[previous] + increment;
+            }
+        });
+        return strikes;
+    }
+
+    // Bisect (in log-strike) for the strike whose Black-Scholes |delta| matches the target, using the
+    // global volatility; |delta| falls with the strike for calls and rises with it for puts
+    findStrikeForDelta(type, targetDelta, marketParams, daysToExpiration) {
+        const { currentPrice, volatility, riskFreeRate } = marketParams;
+        const dividendYield = marketParams.dividendYield || 0;
+        const timeToExpiration = daysToExpiration / 365;
+        const target = Math.abs(targetDelta);
+        if (!(timeToExpiration > 0) || !(volatility > 0)) return currentPrice;
+
+        const isCall = type === 'Call';
+        let low = Math.log(currentPrice * 0.05);
+        let high = Math.log(currentPrice * 5);
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            const delta = Math.abs(this.blackScholes.calculateDelta(
+                currentPrice, Math.exp(mid), riskFreeRate, timeToExpiration, volatility, isCall, dividendYield));
+            if ((delta > target) === isCall) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return Math.exp((low + high) / 2);
+    }
+
+    // Build editable legs from a strategy template, with strikes placed around the current price.
+    // Back-month legs (expirationOffset) expire that many days after the global expiration.
+    getTemplateLegs(strategyKey, marketParams) {
         const strategy = this.strategies[strategyKey];
-        if (!strategy) return strategy;
-
-        const updatedStrategy = JSON.parse(JSON.stringify(strategy)); // Deep clone
-
-        switch (strategyKey) {
-            case 'long-call':
-            case 'short-call':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 1.05);
-                break;
-                
-            case 'long-put':
-            case 'short-put':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 0.95);
-                break;
-                
-            case 'long-straddle':
-            case 'short-straddle':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice);
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice);
-                break;
-                
-            case 'long-strangle':
-            case 'short-strangle':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 1.05); // Call
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice * 0.95); // Put
-                break;
-                
-            case 'bull-call-spread':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 1.02); // Buy lower
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice * 1.08); // Sell higher
-                break;
-                
-            case 'bear-call-spread':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 1.02); // Sell lower
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice * 1.08); // Buy higher
-                break;
-                
-            case 'bull-put-spread':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 0.95); // Sell higher
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice * 0.90); // Buy lower
-                break;
-                
-            case 'bear-put-spread':
-                updatedStrategy.legs[0].defaultStrike = Math.round(currentPrice * 0.95); // Buy higher
-                updatedStrategy.legs[1].defaultStrike = Math.round(currentPrice * 0.90); // Sell lower
-                break;
+        if (!strategy) return [];
+
+        const { currentPrice, daysToExpiration } = marketParams;
+        const optionLegs = strategy.legs
+            .filter(templateLeg => templateLeg.type !== 'Stock')
+            .map(templateLeg => {
+                const days = daysToExpiration + (templateLeg.expirationOffset || 0);
+                return { type: templateLeg.type, strike: this.resolveTemplateStrike(templateLeg, marketParams, days), days: days };
+            });
+        const strikes = this.roundTemplateStrikes(optionLegs, currentPrice);
+        let optionIndex = 0;
+
+        return strategy.legs.map(templateLeg => {
+            const ratio = templateLeg.ratio || 1;
+
+            // Stock legs have no strike; their cost basis defaults to the current price
+            if (templateLeg.type === 'Stock') {
+                return {
+                    action: templateLeg.action,
+                    type: 'Stock',
+                    strike: 0,
+                    premium: Math.round(currentPrice * 100) / 100,
+                    quantity: ratio * this.contractMultiplier
+                };
+            }
+
+            const leg = {
+                action: templateLeg.action,
+                type: templateLeg.type,
+                strike: strikes[optionIndex],
+                premium: 0,
+                quantity: ratio
+            };
+            if (templateLeg.expirationOffset && daysToExpiration) {
+                leg.daysToExpiration = optionLegs[optionIndex].days;
+            }
+            optionIndex++;
+            return leg;
+        });
+    }
+
+    // Check a user-supplied template and return it in canonical form: { template } or { error }
+    validateTemplate(template) {
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            return { error: 'Template must be an object.' };
+        }
+        const name = typeof template.name === 'string' ? template.name.trim() : '';
+        if (!name) return { error: 'Template needs a name.' };
+        if (!Array.isArray(template.legs) || template.legs.length === 0) {
+            return { error: 'Template needs at least one leg.' };
+        }
+
+        const legs = [];
+        for (let i = 0; i < template.legs.length; i++) {
+            const leg = template.legs[i] || {};
+            const label = `Leg ${i + 1}`;
+            if (!['Buy', 'Sell'].includes(leg.action)) return { error: `${label}: action must be "Buy" or "Sell".` };
+            if (!['Call', 'Put', 'Stock'].includes(leg.type)) return { error: `${label}: type must be "Call", "Put" or "Stock".` };
+
+            const ratio = leg.ratio === undefined ? 1 : Number(leg.ratio);
+            if (!(Number.isInteger(ratio) && ratio > 0)) return { error: `${label}: ratio must be a positive whole number.` };
+
+            const canonical = { action: leg.action, type: leg.type, ratio: ratio };
+            if (leg.type !== 'Stock') {
+                const strike = leg.strike || {};
+                const placements = ['percent', 'dollars', 'delta'].filter(key => strike[key] !== undefined);
+                if (placements.length !== 1) {
+                    return { error: `${label}: strike must have exactly one of percent, dollars or delta.` };
+                }
+                const value = Number(strike[placements[0]]);
+                if (!Number.isFinite(value)) return { error: `${label}: strike ${placements[0]} must be a number.` };
+                if (placements[0] === 'delta' && !(Math.abs(value) > 0 && Math.abs(value) < 1)) {
+                    return { error: `${label}: delta must be between 0 and 1.` };
+                }
+                canonical.strike = { [placements[0]]: value };
+
+                const offset = leg.expirationOffset === undefined ? 0 : Number(leg.expirationOffset);
+                if (!(offset >= 0)) return { error: `${label}: expirationOffset must be zero or more days.` };
+                if (offset > 0) canonical.expirationOffset = Math.round(offset);
+            }
+            legs.push(canonical);
+        }
+
+        return {
+            template: {
+                name: name,
+                description: typeof template.description === 'string' && template.description.trim() ?
+                    template.description.trim() :
+                    'User-defined template.',
+                riskLevel: typeof template.riskLevel === 'string' && template.riskLevel ? template.riskLevel : 'Varies',
+                complexity: 'My Template',
+                legs: legs
+            }
+        };
+    }
+
+    // Describe legs as a template, placing strikes by 'percent', 'dollars' or 'delta' relative to the
+    // current market. Quantities become whole-number ratios reduced by their common factor; counting in
+    // shares (contracts × 100) keeps odd-lot stock legs in proportion.
+    createTemplateFromLegs(name, legs, marketParams, placement = 'percent', description = '') {
+        const { currentPrice, volatility, riskFreeRate } = marketParams;
+        const dividendYield = marketParams.dividendYield || 0;
+        const validLegs = legs.filter(leg => this.isValidLeg(leg));
+        const shares = validLegs.map(leg => Math.round(Math.abs(leg.quantity) * this.getLegMultiplier(leg)));
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const common = shares.length > 0 ? shares.reduce(gcd) || 1 : 1;
+        const units = shares.map(count => count / common);
+        const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+        return this.validateTemplate({
+            name: name,
+            description: description,
+            legs: validLegs.map((leg, index) => {
+                const templateLeg = { action: leg.action, type: leg.type, ratio: units[index] };
+                if (leg.type === 'Stock') return templateLeg;
+
+                const days = this.getLegDaysToExpiration(leg, marketParams);
+                if (placement === 'dollars') {
+                    templateLeg.strike = { dollars: round(leg.strike - currentPrice, 2) };
+                } else if (placement === 'delta') {
+                    const delta = this.blackScholes.calculateDelta(currentPrice, leg.strike, riskFreeRate,
+                        days / 365, volatility, leg.type === 'Call', dividendYield);
+                    // Deep in- or out-of-the-money legs cannot be expressed as a delta inside (0, 1)
+                    templateLeg.strike = { delta: Math.min(Math.max(round(Math.abs(delta), 2), 0.01), 0.99) };
+                } else {
+                    templateLeg.strike = { percent: round((leg.strike / currentPrice - 1) * 100, 2) };
+                }
+                if (days > marketParams.daysToExpiration) {
+                    templateLeg.expirationOffset = days - marketParams.daysToExpiration;
+                }
+                return templateLeg;
+            })
+        });
+    }
+
+    // Create a blank leg for the position builder
+    createLeg(currentPrice, overrides = {}) {
+        return {
+            action: 'Buy',
+            type: 'Call',
+            strike: Math.round(currentPrice),
+            premium: 0,
+            quantity: 1,
+            ...overrides
+        };
+    }
+
+    // Shares controlled by one unit of a leg's quantity (stock legs are quoted in shares)
+    getLegMultiplier(leg) {
+        return leg.type === 'Stock' ? 1 : this.contractMultiplier;
+    }
+
+    // Whether a leg has enough inputs to be included in calculations
+    isValidLeg(leg) {
+        const hasStrike = leg.type === 'Stock' || leg.strike;
+        return Boolean(hasStrike && leg.premium !== null && leg.quantity);
+    }
+
+    // Days from today until a leg expires (legs without their own expiration use the global one)
+    getLegDaysToExpiration(leg, marketParams) {
+        if (leg.daysToExpiration !== undefined && leg.daysToExpiration !== null) {
+            return leg.daysToExpiration;
         }
+        return marketParams.daysToExpiration !== undefined ?
+            marketParams.daysToExpiration :
+            marketParams.timeToExpiration * 365;
+    }
 
-        return updatedStrategy;
+    // Remaining time to expiry in years, measured from marketParams.daysElapsed days after today
+    getLegTimeToExpiration(leg, marketParams) {
+        const daysElapsed = marketParams.daysElapsed || 0;
+
+        if (leg.daysToExpiration === undefined || leg.daysToExpiration === null) {
+            return Math.max(marketParams.timeToExpiration - daysElapsed / 365, 0);
+        }
+        return Math.max(leg.daysToExpiration - daysElapsed, 0) / 365;
+    }
+
+    // Leg-specific implied volatility, then the fitted volatility smile, then the global volatility input,
+    // moved by any parallel IV shift in marketParams.volatilityShift (a decimal, used for stress tests)
+    getLegVolatility(leg, marketParams) {
+        const smile = marketParams.volatilitySmile;
+        const smileVolatility = !leg.volatility && smile ? smile.getVolatility(leg.strike) : null;
+        const volatility = leg.volatility || smileVolatility || marketParams.volatility;
+
+        const shift = marketParams.volatilityShift || 0;
+        return shift === 0 ? volatility : Math.max(volatility + shift, 0.01);
+    }
+
+    // Discrete dividends as { time (years from the valuation date), amount }
+    getDividendSchedule(marketParams) {
+        const daysElapsed = marketParams.daysElapsed || 0;
+        return (marketParams.dividends || []).map(dividend => ({
+            time: (dividend.daysToExDate - daysElapsed) / 365,
+            amount: dividend.amount
+        }));
+    }
+
+    // Spot price net of discrete dividends going ex between the valuation date and the leg's expiry
+    getEscrowedSpot(spotPrice, leg, marketParams) {
+        const schedule = this.getDividendSchedule(marketParams);
+        if (schedule.length === 0) return spotPrice;
+
+        const timeToExpiration = this.getLegTimeToExpiration(leg, marketParams);
+        return this.blackScholes.calculateEscrowedSpot(spotPrice, marketParams.riskFreeRate, timeToExpiration, schedule);
+    }
+
+    // Spot and dividend arguments for a pricing model: models that handle discrete dividends themselves
+    // (the binomial tree) get the unadjusted spot and the schedule, the others the escrowed spot
+    getModelSpot(model, spotPrice, leg, marketParams) {
+        return model.supportsDiscreteDividends ?
+            { spot: spotPrice, dividends: this.getDividendSchedule(marketParams) } :
+            { spot: this.getEscrowedSpot(spotPrice, leg, marketParams), dividends: [] };
+    }
+
+    // Days until the earliest option leg expires
+    getFrontExpirationDays(legs, marketParams) {
+        const optionDays = legs
+            .filter(leg => leg.type !== 'Stock')
+            .map(leg => this.getLegDaysToExpiration(leg, marketParams));
+
+        return optionDays.length > 0 ?
+            Math.min(...optionDays) :
+            this.getLegDaysToExpiration({}, marketParams);
+    }
+
+    // Whether the legs expire on different dates (calendars, diagonals)
+    hasMultipleExpirations(legs, marketParams) {
+        const optionDays = legs
+            .filter(leg => leg.type !== 'Stock')
+            .map(leg => this.getLegDaysToExpiration(leg, marketParams));
+
+        return new Set(optionDays).size > 1;
+    }
+
+    // Market params for the "at expiration" view: valued at the front-month expiry,
+    // with any back-month legs keeping their remaining time value
+    getExpirationParams(legs, marketParams) {
+        return {
+            ...marketParams,
+            daysElapsed: this.getFrontExpirationDays(legs, marketParams)
+        };
+    }
+
+    // P&L curve valued a number of days after today, with each leg's time to expiry reduced accordingly
+    calculateTimeSlicePL(legs, spotPrices, marketParams, daysForward) {
+        return this.calculateStrategyPL(legs, spotPrices, { ...marketParams, daysElapsed: daysForward });
+    }
+
+    // Evenly spaced valuation days (T+0, T+interval, ...) before the front-month expiry
+    getTimeSliceDays(legs, marketParams, interval, maxSlices = 10) {
+        const frontDays = this.getFrontExpirationDays(legs, marketParams);
+        const spacing = Math.max(interval, Math.ceil(frontDays / maxSlices), 1);
+
+        const days = [];
+        for (let day = 0; day < frontDays; day += spacing) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    // P&L grid for the heatmap: rows are underlying prices (highest first) within 30% of the current
+    // price, columns are valuation days from today through the front-month expiry
+    calculatePLGrid(legs, marketParams, priceStep, dateStep, maxRows = 61, maxColumns = 31) {
+        const { currentPrice } = marketParams;
+        const frontDays = this.getFrontExpirationDays(legs, marketParams);
+
+        const step = priceStep > 0 ? priceStep : currentPrice * 0.02;
+        const rowsEachSide = Math.min(Math.floor(currentPrice * 0.3 / step), Math.floor((maxRows - 1) / 2));
+        const prices = [];
+        for (let i = rowsEachSide; i >= -rowsEachSide; i--) {
+            const price = currentPrice + i * step;
+            if (price > 0) prices.push(price);
+        }
+
+        const spacing = Math.max(dateStep, Math.ceil(frontDays / (maxColumns - 1)), 1);
+        const days = [];
+        for (let day = 0; day < frontDays; day += spacing) {
+            days.push(day);
+        }
+        days.push(frontDays);
+
+        const columns = days.map(day => this.calculateTimeSlicePL(legs, prices, marketParams, day));
+        const values = prices.map((price, row) => columns.map(column => column[row]));
+
+        return { prices, days, values };
+    }
+
+    // Stress-test matrix: revalue the position under simultaneous underlying and IV shocks.
+    // priceShocks are fractional moves (-0.2 = -20%), volatilityShifts are decimals (0.05 = +5 vol points)
+    // and lossLimit is a positive dollar amount or null. values[row][column] is indexed by IV shift, then price shock.
+    calculateStressMatrix(legs, marketParams, options = {}) {
+        const {
+            priceShocks = [-0.2, -0.1, -0.05, 0, 0.05, 0.1, 0.2],
+            volatilityShifts = [-0.1, -0.05, 0, 0.05, 0.1],
+            daysForward = 0,
+            lossLimit = null
+        } = options;
+
+        // Never value past the front-month expiry
+        const days = Math.min(Math.max(daysForward, 0), this.getFrontExpirationDays(legs, marketParams));
+        const prices = priceShocks.map(shock => Math.max(marketParams.currentPrice * (1 + shock), 0.01));
+
+        const values = volatilityShifts.map(shift => this.calculateStrategyPL(legs, prices, {
+            ...marketParams,
+            daysElapsed: days,
+            volatilityShift: shift
+        }));
+
+        let worst = { row: 0, column: 0, value: Infinity };
+        const breaches = [];
+        values.forEach((row, rowIndex) => {
+            row.forEach((value, column) => {
+                if (value < worst.value) worst = { row: rowIndex, column: column, value: value };
+                if (lossLimit !== null && value < -lossLimit) breaches.push({ row: rowIndex, column: column, value: value });
+            });
+        });
+
+        return {
+            priceShocks: priceShocks,
+            volatilityShifts: volatilityShifts,
+            prices: prices,
+            daysForward: days,
+            values: values,
+            worst: worst,
+            lossLimit: lossLimit,
+            breaches: breaches
+        };
+    }
+
+    // Theoretical value of one unit of a leg at a given spot price
+    calculateLegValue(leg, spotPrice, marketParams) {
+        const { strike, type } = leg;
+
+        if (type === 'Stock') {
+            // Shares are worth the spot price
+            return spotPrice;
+        }
+
+        const timeToExpiration = this.getLegTimeToExpiration(leg, marketParams);
+        if (timeToExpiration <= 0) {
+            // At expiration
+            return this.blackScholes.calculateIntrinsicValue(spotPrice, strike, type === 'Call');
+        }
+
+        // Before expiration - use the active pricing model, unless marketParams.pricingModel overrides it
+        // (Monte Carlo daily marks and the strategy finder's screening use Black-Scholes)
+        const model = marketParams.pricingModel || this.pricingModel;
+        return this.calculateModelValue(model, leg, spotPrice, marketParams, timeToExpiration);
+    }
+
+    // Price one unit of an option leg with a specific pricing model
+    calculateModelValue(model, leg, spotPrice, marketParams, timeToExpiration) {
+        const { riskFreeRate } = marketParams;
+        const dividendYield = marketParams.dividendYield || 0;
+        const volatility = this.getLegVolatility(leg, marketParams);
+        const { spot, dividends } = this.getModelSpot(model, spotPrice, leg, marketParams);
+        return leg.type === 'Call' ?
+            model.calculateCallPrice(spot, leg.strike, riskFreeRate, timeToExpiration, volatility, dividendYield, dividends) :
+            model.calculatePutPrice(spot, leg.strike, riskFreeRate, timeToExpiration, volatility, dividendYield, dividends);
+    }
+
+    // Value of the right to exercise early: active model price less the European price from the same model
+    // (the same tree without exercise), falling back to Black-Scholes for models without a European variant
+    calculateEarlyExercisePremium(leg, marketParams) {
+        if (leg.type === 'Stock' || !this.isAmericanPricing()) return 0;
+
+        const timeToExpiration = this.getLegTimeToExpiration(leg, marketParams);
+        if (timeToExpiration <= 0) return 0;
+
+        const model = this.pricingModel;
+        const spotPrice = marketParams.currentPrice;
+        const americanValue = this.calculateModelValue(model, leg, spotPrice, marketParams, timeToExpiration);
+        if (!model.calculateEuropeanPrice) {
+            const europeanValue = this.calculateModelValue(this.blackScholes, leg, spotPrice, marketParams, timeToExpiration);
+            return Math.max(americanValue - europeanValue, 0);
+        }
+
+        const { spot, dividends } = this.getModelSpot(model, spotPrice, leg, marketParams);
+        const europeanValue = model.calculateEuropeanPrice(
+            spot, leg.strike, marketParams.riskFreeRate, timeToExpiration, this.getLegVolatility(leg, marketParams),
+            leg.type === 'Call', marketParams.dividendYield || 0, dividends
+        );
+        return Math.max(americanValue - europeanValue, 0);
+    }
+
+    // Implied volatility of a leg from its market price, using the leg's own expiry and dividend inputs.
+    // Returns the solver's result object ({ iv, iterations, converged, reason }) or null for stock legs.
+    calculateLegImpliedVolatility(leg, marketPrice, marketParams) {
+        if (leg.type === 'Stock') return null;
+
+        const timeToExpiration = this.getLegTimeToExpiration(leg, marketParams);
+        const adjustedSpot = this.getEscrowedSpot(marketParams.currentPrice, leg, marketParams);
+
+        return this.blackScholes.calculateImpliedVolatility(
+            adjustedSpot, leg.strike, marketParams.riskFreeRate, timeToExpiration,
+            marketPrice, leg.type === 'Call', marketParams.dividendYield || 0
+        );
     }
 
     // Calculate profit/loss for a single leg
     calculateLegPL(leg, spotPrices, marketParams) {
-        const { strike, premium, quantity, action, type } = leg;
-        const { riskFreeRate, timeToExpiration, volatility } = marketParams;
+        const { premium, quantity, action } = leg;
+        const legMultiplier = this.getLegMultiplier(leg);
         
         return spotPrices.map(spotPrice => {
-            let optionValue;
-            
-            if (timeToExpiration <= 0) {
-                // At expiration
-                if (type === 'Call') {
-                    optionValue = Math.max(spotPrice - strike, 0);
-                } else {
-                    optionValue = Math.max(strike - spotPrice, 0);
-                }
-            } else {
-                // Before expiration - use Black-Scholes
-                const isCall = type === 'Call';
-                optionValue = isCall ? 
-                    this.blackScholes.calculateCallPrice(spotPrice, strike, riskFreeRate, timeToExpiration, volatility) :
-                    this.blackScholes.calculatePutPrice(spotPrice, strike, riskFreeRate, timeToExpiration, volatility);
-            }
+            // For stock legs the premium is the cost basis
+            const optionValue = this.calculateLegValue(leg, spotPrice, marketParams);
             
             let legPL;
             if (action === 'Buy') {
-                legPL = (optionValue - premium) * quantity * 100; // *100 for contract multiplier
+                legPL = (optionValue - premium) * quantity * legMultiplier;
             } else { // Sell
-                legPL = (premium - optionValue) * quantity * 100; // *100 for contract multiplier
+                legPL = (premium - optionValue) * quantity * legMultiplier;
             }
             
             return legPL;
@@ -223,10 +925,12 @@ class OptionsStrategies {
     calculateStrategyPL(legs, spotPrices, marketParams) {
         if (!legs || legs.length === 0) return spotPrices.map(() => 0);
         
-        const totalPL = spotPrices.map(() => 0);
+        // Transaction costs are a fixed amount per position, so they shift the whole curve down
+        const costs = this.calculateTransactionCosts(legs, marketParams.fees).total;
+        const totalPL = spotPrices.map(() => -costs);
         
         legs.forEach(leg => {
-            if (leg.strike && leg.premium !== null && leg.quantity) {
+            if (this.isValidLeg(leg)) {
                 const legPLs = this.calculateLegPL(leg, spotPrices, marketParams);
                 legPLs.forEach((pl, index) => {
                     totalPL[index] += pl;
@@ -237,83 +941,356 @@ class OptionsStrategies {
         return totalPL;
     }
 
-    // Calculate key metrics (max profit, max loss, breakevens)
-    calculateKeyMetrics(legs, marketParams) {
-        const currentPrice = marketParams.currentPrice;
-        const priceRange = [];
-        const step = currentPrice * 0.01; // 1% steps
-        
-        // Generate price range from 50% below to 50% above current price
-        for (let price = currentPrice * 0.5; price <= currentPrice * 1.5; price += step) {
-            priceRange.push(price);
-        }
-        
-        const pls = this.calculateStrategyPL(legs, priceRange, {
-            ...marketParams,
-            timeToExpiration: 0 // At expiration for key metrics
+    // Commissions, exchange fees and slippage in dollars. fees (from marketParams.fees) holds
+    // { perContract, exchangePerContract, perOrder, slippage, spread, includeClosing }: commission and exchange
+    // fees are charged per option contract, the ticket fee once per order, and slippage is the fraction of
+    // the bid/ask spread given up on each fill (legs filled from a chain carry their own spread).
+    // Closing the position, when included, is assumed to cost the same as opening it.
+    calculateTransactionCosts(legs, fees) {
+        const costs = { opening: 0, closing: 0, total: 0, legs: [] };
+        if (!fees) return costs;
+
+        const validLegs = legs.filter(leg => this.isValidLeg(leg));
+        costs.legs = validLegs.map(leg => {
+            const contracts = leg.type === 'Stock' ? 0 : leg.quantity;
+            const spread = leg.spread !== undefined && leg.spread !== null ? leg.spread : (fees.spread || 0);
+            const commission = (fees.perContract || 0) * contracts;
+            const exchangeFees = (fees.exchangePerContract || 0) * contracts;
+            const slippage = (fees.slippage || 0) * spread * leg.quantity * this.getLegMultiplier(leg);
+            return { leg: leg, commission: commission, exchangeFees: exchangeFees, slippage: slippage, total: commission + exchangeFees + slippage };
         });
-        
-        const maxProfit = Math.max(...pls);
-        const maxLoss = Math.min(...pls);
-        
-        // Find breakeven points (where P&L crosses zero)
+
+        if (validLegs.length === 0) return costs;
+
+        costs.opening = costs.legs.reduce((sum, legCost) => sum + legCost.total, 0) + (fees.perOrder || 0);
+        costs.closing = fees.includeClosing ? costs.opening : 0;
+        costs.total = costs.opening + costs.closing;
+        return costs;
+    }
+
+    // Slope of the expiration payoff in dollars per $1 move above the highest strike.
+    // Only calls and shares keep gaining or losing value as the price rises; puts are worthless there.
+    calculateUpsideSlope(legs) {
+        return legs.reduce((slope, leg) => {
+            if (!this.isValidLeg(leg) || leg.type === 'Put') return slope;
+            const direction = leg.action === 'Buy' ? 1 : -1;
+            return slope + direction * leg.quantity * this.getLegMultiplier(leg);
+        }, 0);
+    }
+
+    // Zero crossings of P&L sampled at increasing prices, interpolated linearly between samples,
+    // plus a crossing on the ray beyond the last price when the payoff keeps sloping towards zero
+    findBreakevens(prices, pls, upsideSlope) {
         const breakevens = [];
         for (let i = 0; i < pls.length - 1; i++) {
-            if ((pls[i] <= 0 && pls[i + 1] >= 0) || (pls[i] >= 0 && pls[i + 1] <= 0)) {
-                // Linear interpolation to find exact breakeven
-                const ratio = Math.abs(pls[i]) / (Math.abs(pls[i]) + Math.abs(pls[i + 1]));
-                const breakeven = priceRange[i] + (priceRange[i + 1] - priceRange[i]) * ratio;
-                breakevens.push(breakeven);
+            const current = pls[i];
+            const next = pls[i + 1];
+            if ((current < 0 && next >= 0) || (current > 0 && next <= 0)) {
+                const ratio = Math.abs(current) / (Math.abs(current) + Math.abs(next));
+                breakevens.push(prices[i] + (prices[i + 1] - prices[i]) * ratio);
+            }
+        }
+
+        const lastPL = pls[pls.length - 1];
+        if (lastPL !== 0 && upsideSlope !== 0 && Math.sign(lastPL) !== Math.sign(upsideSlope)) {
+            breakevens.push(prices[prices.length - 1] - lastPL / upsideSlope);
+        }
+
+        return breakevens;
+    }
+
+    // Calculate key metrics (max profit, max loss, breakevens) from the expiration payoff.
+    // With a single expiration the payoff is piecewise linear between strikes, so its extremes are at
+    // zero, at a strike, or unbounded above the highest strike. Positions that still hold back-month
+    // legs at the front expiry are sampled densely instead, with the same upside slope test.
+    calculateKeyMetrics(legs, marketParams) {
+        const currentPrice = marketParams.currentPrice;
+        const validLegs = legs.filter(leg => this.isValidLeg(leg));
+        const strikes = [...new Set(
+            validLegs.filter(leg => leg.type !== 'Stock').map(leg => leg.strike)
+        )].sort((a, b) => a - b);
+
+        let prices = [0, ...strikes];
+        if (this.hasMultipleExpirations(validLegs, marketParams)) {
+            const upper = Math.max(currentPrice, ...strikes) * 3;
+            const step = upper / 600;
+            for (let price = step; price <= upper; price += step) {
+                prices.push(price);
             }
+            prices = [...new Set(prices)].sort((a, b) => a - b);
         }
+
+        // At (front-month) expiration for key metrics
+        const pls = this.calculateStrategyPL(validLegs, prices, this.getExpirationParams(validLegs, marketParams));
+        const upsideSlope = this.calculateUpsideSlope(validLegs);
+        const slopeTolerance = 1e-9;
+
+        // Ties (flat stretches of the payoff) are reported at the price closest to the current price
+        const findExtreme = isBetter => pls.reduce((best, pl, index) => {
+            const candidate = { pl: pl, price: prices[index] };
+            if (best === null || isBetter(pl, best.pl)) return candidate;
+            if (pl === best.pl && Math.abs(prices[index] - currentPrice) < Math.abs(best.price - currentPrice)) {
+                return candidate;
+            }
+            return best;
+        }, null);
+
+        const highest = findExtreme((pl, best) => pl > best);
+        const lowest = findExtreme((pl, best) => pl < best);
+        const unlimitedProfit = upsideSlope > slopeTolerance;
+        const unlimitedLoss = upsideSlope < -slopeTolerance;
+
+        const breakevens = this.findBreakevens(prices, pls, upsideSlope);
         
-        // Calculate total cost (net premium paid/received)
-        const totalCost = legs.reduce((sum, leg) => {
-            if (leg.strike && leg.premium !== null && leg.quantity) {
+        // Calculate total cost (net premium paid/received, plus the fees for opening the position)
+        const fees = this.calculateTransactionCosts(legs, marketParams.fees);
+        const premiumCost = legs.reduce((sum, leg) => {
+            if (this.isValidLeg(leg)) {
+                const legMultiplier = this.getLegMultiplier(leg);
                 const cost = leg.action === 'Buy' ? 
-                    leg.premium * leg.quantity * 100 : 
-                    -leg.premium * leg.quantity * 100;
+                    leg.premium * leg.quantity * legMultiplier : 
+                    -leg.premium * leg.quantity * legMultiplier;
                 return sum + cost;
             }
             return sum;
         }, 0);
+        const totalCost = premiumCost + fees.opening;
         
         return {
-            maxProfit: maxProfit === Infinity ? 'Unlimited' : maxProfit,
-            maxLoss: maxLoss === -Infinity ? 'Unlimited' : Math.abs(maxLoss),
+            maxProfit: unlimitedProfit ? 'Unlimited' : highest.pl,
+            maxProfitPrice: unlimitedProfit ? null : highest.price,
+            maxLoss: unlimitedLoss ? 'Unlimited' : Math.max(-lowest.pl, 0),
+            maxLossPrice: unlimitedLoss ? null : lowest.price,
             breakevens: breakevens,
-            totalCost: totalCost
+            totalCost: totalCost,
+            fees: fees
+        };
+    }
+
+    // Lognormal terminal distribution at the front-month expiry implied by the volatility, rate and dividend inputs.
+    // Prices are in log space around the dividend-adjusted spot: S_T = spot * exp(x), x ~ N(drift, stdDev^2)
+    getTerminalDistribution(legs, marketParams) {
+        const { currentPrice, riskFreeRate, volatility } = marketParams;
+        const dividendYield = marketParams.dividendYield || 0;
+        const days = this.getFrontExpirationDays(legs, marketParams);
+        const horizon = days / 365;
+
+        const schedule = (marketParams.dividends || []).map(dividend => ({
+            time: dividend.daysToExDate / 365,
+            amount: dividend.amount
+        }));
+        const spot = this.blackScholes.calculateEscrowedSpot(currentPrice, riskFreeRate, horizon, schedule);
+
+        return {
+            spot: spot,
+            horizon: horizon,
+            volatility: volatility,
+            drift: (riskFreeRate - dividendYield - 0.5 * volatility * volatility) * horizon,
+            stdDev: volatility * Math.sqrt(horizon)
+        };
+    }
+
+    // Probability that the underlying trades through a price level at any time before the front-month expiry
+    calculateTouchProbability(level, distribution) {
+        const { spot, horizon, volatility, drift, stdDev } = distribution;
+        if (stdDev <= 0) return 0;
+
+        const barrier = Math.log(level / spot);
+        const mu = drift / horizon; // Log-space drift per year
+        const reflection = Math.exp(2 * mu * barrier / (volatility * volatility));
+        const cdf = x => this.blackScholes.normalCDF(x);
+
+        const probability = barrier >= 0 ?
+            cdf((-barrier + drift) / stdDev) + reflection * cdf((-barrier - drift) / stdDev) :
+            cdf((barrier - drift) / stdDev) + reflection * cdf((barrier + drift) / stdDev);
+
+        return Math.min(Math.max(probability, 0), 1);
+    }
+
+    // Probability of profit and expected P&L of legs valued with valuationParams, for a lognormal
+    // distribution of the underlying (S = spot * exp(x), x ~ N(drift, stdDev^2), stdDev > 0)
+    integratePL(legs, distribution, valuationParams) {
+        const { spot, drift, stdDev } = distribution;
+
+        // Trapezoid rule over +/- 6 standard deviations in log space
+        const points = 401;
+        const width = 12 * stdDev;
+        const dx = width / (points - 1);
+        const logReturns = [];
+        for (let i = 0; i < points; i++) {
+            logReturns.push(drift - 6 * stdDev + i * dx);
+        }
+
+        const prices = logReturns.map(x => spot * Math.exp(x));
+        const pls = this.calculateStrategyPL(legs, prices, valuationParams);
+
+        const densities = logReturns.map(x => this.blackScholes.normalPDF((x - drift) / stdDev) / stdDev);
+
+        let probabilityOfProfit = 0;
+        let expectedPL = 0;
+        for (let i = 0; i < points - 1; i++) {
+            const mass = dx * (densities[i] + densities[i + 1]) / 2;
+            expectedPL += mass * (pls[i] + pls[i + 1]) / 2;
+
+            // Share of the interval where P&L is positive, treating P&L as linear between grid points
+            let profitableShare = 0;
+            if (pls[i] > 0 && pls[i + 1] > 0) {
+                profitableShare = 1;
+            } else if (pls[i] > 0 || pls[i + 1] > 0) {
+                profitableShare = Math.max(pls[i], pls[i + 1]) / Math.abs(pls[i + 1] - pls[i]);
+            }
+            probabilityOfProfit += mass * profitableShare;
+        }
+
+        return {
+            probabilityOfProfit: Math.min(Math.max(probabilityOfProfit, 0), 1),
+            expectedPL: expectedPL
+        };
+    }
+
+    // Probability of profit, breakeven touch probabilities, expected P&L and return on risk,
+    // integrating the expiration payoff against the lognormal terminal distribution
+    calculateProbabilityMetrics(legs, marketParams, keyMetrics = this.calculateKeyMetrics(legs, marketParams)) {
+        const distribution = this.getTerminalDistribution(legs, marketParams);
+        const { spot, drift, stdDev } = distribution;
+        const expirationParams = this.getExpirationParams(legs, marketParams);
+
+        let probabilityOfProfit;
+        let expectedPL;
+
+        if (stdDev <= 0) {
+            // No time left: the outcome is the payoff at the current price
+            const [pl] = this.calculateStrategyPL(legs, [marketParams.currentPrice], expirationParams);
+            probabilityOfProfit = pl > 0 ? 1 : 0;
+            expectedPL = pl;
+        } else {
+            ({ probabilityOfProfit, expectedPL } = this.integratePL(legs, distribution, expirationParams));
+        }
+
+        const breakevenTouches = keyMetrics.breakevens.map(price => ({
+            price: price,
+            probability: this.calculateTouchProbability(price, distribution)
+        }));
+
+        const maxLoss = keyMetrics.maxLoss;
+        const returnOnRisk = typeof maxLoss === 'number' && maxLoss > 0 ? expectedPL / maxLoss : null;
+
+        return {
+            probabilityOfProfit: probabilityOfProfit,
+            breakevenTouches: breakevenTouches,
+            expectedPL: expectedPL,
+            returnOnRisk: returnOnRisk
         };
     }
 
-    // Calculate combined Greeks for the entire strategy
+    // Position greeks across a range of underlying prices, valued a number of days after today
+    calculateGreeksProfile(legs, spotPrices, marketParams, daysForward = 0) {
+        const profile = { delta: [], gamma: [], theta: [], vega: [] };
+
+        spotPrices.forEach(spotPrice => {
+            const greeks = this.calculateStrategyGreeks(legs, {
+                ...marketParams,
+                currentPrice: spotPrice,
+                daysElapsed: daysForward
+            });
+            Object.keys(profile).forEach(greek => profile[greek].push(greeks[greek]));
+        });
+
+        return profile;
+    }
+
+    // Position greeks of a single leg: per-share greeks signed by direction and scaled by quantity
+    // (contract units, so a stock leg of 100 shares has a delta of 1)
+    calculateLegGreeks(leg, marketParams) {
+        const greeks = {};
+        this.greekNames.forEach(greek => {
+            greeks[greek] = 0;
+        });
+        if (!this.isValidLeg(leg)) return greeks;
+
+        const { strike, quantity, action, type } = leg;
+        const { currentPrice, riskFreeRate } = marketParams;
+        const multiplier = action === 'Buy' ? 1 : -1;
+
+        if (type === 'Stock') {
+            // Delta of 1 per share, expressed in contract units like the option legs
+            greeks.delta = multiplier * quantity / this.contractMultiplier;
+            return greeks;
+        }
+
+        const isCall = type === 'Call';
+        const timeToExpiration = this.getLegTimeToExpiration(leg, marketParams);
+        const volatility = this.getLegVolatility(leg, marketParams);
+        const dividendYield = marketParams.dividendYield || 0;
+        const adjustedSpot = this.getEscrowedSpot(currentPrice, leg, marketParams);
+        const model = marketParams.pricingModel || this.pricingModel;
+        const { spot, dividends } = this.getModelSpot(model, currentPrice, leg, marketParams);
+        const metrics = model.calculateAllMetrics(
+            spot, strike, riskFreeRate, timeToExpiration, volatility, isCall, dividendYield, dividends
+        );
+
+        // Models without closed-form second-order greeks use the Black-Scholes values
+        const europeanMetrics = metrics.vanna === undefined ?
+            this.blackScholes.calculateAllMetrics(
+                adjustedSpot, strike, riskFreeRate, timeToExpiration, volatility, isCall, dividendYield
+            ) :
+            metrics;
+
+        this.greekNames.forEach(greek => {
+            const value = metrics[greek] !== undefined ? metrics[greek] : europeanMetrics[greek];
+            greeks[greek] = value * multiplier * quantity;
+        });
+        return greeks;
+    }
+
+    // Calculate combined Greeks for the entire strategy, including rho and the second-order greeks
     calculateStrategyGreeks(legs, marketParams) {
-        let totalDelta = 0, totalGamma = 0, totalTheta = 0, totalVega = 0;
+        const totals = {};
+        this.greekNames.forEach(greek => {
+            totals[greek] = 0;
+        });
         
         legs.forEach(leg => {
-            if (leg.strike && leg.premium !== null && leg.quantity) {
-                const { strike, quantity, action, type } = leg;
-                const { currentPrice, riskFreeRate, timeToExpiration, volatility } = marketParams;
-                
-                const isCall = type === 'Call';
-                const multiplier = action === 'Buy' ? 1 : -1;
-                
-                const metrics = this.blackScholes.calculateAllMetrics(
-                    currentPrice, strike, riskFreeRate, timeToExpiration, volatility, isCall
-                );
-                
-                totalDelta += metrics.delta * multiplier * quantity;
-                totalGamma += metrics.gamma * multiplier * quantity;
-                totalTheta += metrics.theta * multiplier * quantity;
-                totalVega += metrics.vega * multiplier * quantity;
-            }
+            const legGreeks = this.calculateLegGreeks(leg, marketParams);
+            this.greekNames.forEach(greek => {
+                totals[greek] += legGreeks[greek];
+            });
         });
         
+        return totals;
+    }
+
+    // Scale contract-unit greeks by the contract multiplier into share and dollar terms:
+    // share-equivalent delta, dollar delta, dollar gamma per 1% move, theta in $/day,
+    // vega in $/vol point and rho in $/1% rate move
+    calculateDollarGreeks(greeks, spotPrice) {
+        const shares = this.contractMultiplier;
+        return {
+            shareDelta: greeks.delta * shares,
+            dollarDelta: greeks.delta * shares * spotPrice,
+            dollarGamma: greeks.gamma * shares * spotPrice * spotPrice / 100,
+            dollarTheta: greeks.theta * shares,
+            dollarVega: greeks.vega * shares,
+            dollarRho: greeks.rho * shares
+        };
+    }
+
+    // Each leg's contribution to the position greeks, alongside the totals
+    calculateGreeksBreakdown(legs, marketParams) {
+        const spotPrice = marketParams.currentPrice;
+        const legBreakdown = legs.map(leg => {
+            const greeks = this.calculateLegGreeks(leg, marketParams);
+            return { leg: leg, greeks: greeks, dollarGreeks: this.calculateDollarGreeks(greeks, spotPrice) };
+        });
+
+        // Sum the rows rather than pricing every leg a second time
+        const totals = {};
+        this.greekNames.forEach(greek => {
+            totals[greek] = legBreakdown.reduce((sum, row) => sum + row.greeks[greek], 0);
+        });
         return {
-            delta: totalDelta,
-            gamma: totalGamma,
-            theta: totalTheta,
-            vega: totalVega
+            legs: legBreakdown,
+            total: { greeks: totals, dollarGreeks: this.calculateDollarGreeks(totals, spotPrice) }
         };
     }
 }
@@ -0,0 +1,136 @@
+// Portfolio of Named Positions
+// Each position carries its own underlying and market inputs, so positions on different underlyings
+// are only combined in dollar terms and through a beta-weighted delta against a benchmark.
+
+class Portfolio {
+    constructor(strategies) {
+        this.strategies = strategies;
+        this.positions = [];
+        this.nextId = 1;
+        this.benchmark = { symbol: 'SPY', price: 500 };
+    }
+
+    // Add a position: { name, symbol, beta, strategy, legs, market }
+    // market holds { currentPrice, volatility, riskFreeRate, daysToExpiration, dividendYield, dividends, fees }
+    addPosition(position) {
+        const stored = this.normalizePosition({ ...position, id: this.nextId++ });
+        this.positions.push(stored);
+        return stored;
+    }
+
+    // Replace the fields of an existing position, keeping its id
+    updatePosition(id, changes) {
+        const index = this.positions.findIndex(position => position.id === id);
+        if (index === -1) return null;
+
+        this.positions[index] = this.normalizePosition({ ...this.positions[index], ...changes, id: id });
+        return this.positions[index];
+    }
+
+    removePosition(id) {
+        this.positions = this.positions.filter(position => position.id !== id);
+    }
+
+    getPosition(id) {
+        return this.positions.find(position => position.id === id) || null;
+    }
+
+    setBenchmark(symbol, price) {
+        this.benchmark = {
+            symbol: symbol || this.benchmark.symbol,
+            price: price > 0 ? price : this.benchmark.price
+        };
+    }
+
+    // Copy legs and market inputs so later edits in the calculator do not leak into stored positions
+    normalizePosition(position) {
+        const beta = parseFloat(position.beta);
+        return {
+            id: position.id,
+            name: position.name || `Position ${position.id}`,
+            symbol: (position.symbol || '').toUpperCase(),
+            beta: Number.isFinite(beta) ? beta : 1,
+            strategy: position.strategy || 'custom',
+            legs: (position.legs || []).map(leg => ({ ...leg })),
+            market: {
+                ...position.market,
+                dividends: ((position.market && position.market.dividends) || []).map(dividend => ({ ...dividend })),
+                fees: position.market && position.market.fees ? { ...position.market.fees } : null
+            }
+        };
+    }
+
+    // Market parameters in the shape OptionsStrategies expects
+    getMarketParams(position) {
+        const market = position.market;
+        return {
+            currentPrice: market.currentPrice,
+            volatility: market.volatility,
+            riskFreeRate: market.riskFreeRate,
+            timeToExpiration: market.daysToExpiration / 365,
+            daysToExpiration: market.daysToExpiration,
+            dividendYield: market.dividendYield || 0,
+            dividends: market.dividends || [],
+            volatilitySmile: null,
+            fees: market.fees || null
+        };
+    }
+
+    // Mark-to-model P&L and greeks of one position. Beta-weighted delta is expressed in
+    // benchmark shares: share delta x beta x (underlying price / benchmark price).
+    calculatePositionRisk(position) {
+        const marketParams = this.getMarketParams(position);
+        const currentPrice = marketParams.currentPrice;
+
+        const pl = position.legs.length > 0 ?
+            this.strategies.calculateStrategyPL(position.legs, [currentPrice], marketParams)[0] :
+            0;
+        const greeks = this.strategies.calculateStrategyGreeks(position.legs, marketParams);
+        const dollarGreeks = this.strategies.calculateDollarGreeks(greeks, currentPrice);
+        const betaWeightedDelta = dollarGreeks.shareDelta * position.beta * currentPrice / this.benchmark.price;
+
+        return {
+            position: position,
+            pl: pl,
+            greeks: greeks,
+            dollarGreeks: dollarGreeks,
+            betaWeightedDelta: betaWeightedDelta,
+            betaWeightedDollarDelta: betaWeightedDelta * this.benchmark.price
+        };
+    }
+
+    // Per-position risk plus portfolio totals; only dollar-denominated figures are summed
+    calculatePortfolioRisk() {
+        const positions = this.positions.map(position => this.calculatePositionRisk(position));
+
+        const totals = {
+            pl: 0,
+            dollarDelta: 0,
+            dollarGamma: 0,
+            dollarTheta: 0,
+            dollarVega: 0,
+            dollarRho: 0,
+            betaWeightedDelta: 0,
+            betaWeightedDollarDelta: 0
+        };
+        positions.forEach(risk => {
+            totals.pl += risk.pl;
+            totals.dollarDelta += risk.dollarGreeks.dollarDelta;
+            totals.dollarGamma += risk.dollarGreeks.dollarGamma;
+            totals.dollarTheta += risk.dollarGreeks.dollarTheta;
+            totals.dollarVega += risk.dollarGreeks.dollarVega;
+            totals.dollarRho += risk.dollarGreeks.dollarRho;
+            totals.betaWeightedDelta += risk.betaWeightedDelta;
+            totals.betaWeightedDollarDelta += risk.betaWeightedDollarDelta;
+        });
+
+        return { benchmark: { ...this.benchmark }, positions: positions, totals: totals };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Portfolio;
+} else {
+    window.Portfolio = Portfolio;
+}
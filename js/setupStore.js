@@ -0,0 +1,231 @@
+// Saved Setups and Permalinks
+// Serializes the calculator state (strategy, market inputs and legs) into a versioned payload that can be
+// saved under a name in localStorage or encoded into the URL hash for sharing.
+
+class SetupStore {
+    constructor(storage = null) {
+        this.version = 1;
+        this.storageKey = 'optionsCalculator.setups';
+        this.hashKey = 'setup';
+        this.storage = storage;
+
+        // Upgrades from older payload versions, keyed by the version they upgrade from
+        this.migrations = {};
+    }
+
+    // Versioned payload for a calculator state. Market, smile and pricing inputs are kept in the units
+    // the form shows (percentages for rates and volatilities); legs are kept as the calculator holds them.
+    serialize(state) {
+        return {
+            version: this.version,
+            strategy: state.strategy,
+            market: { ...state.market, dividends: (state.market.dividends || []).map(dividend => ({ ...dividend })) },
+            pricing: { ...state.pricing },
+            smile: { ...state.smile, points: (state.smile.points || []).map(point => ({ ...point })) },
+            fees: { ...state.fees },
+            legs: state.legs.map(leg => ({ ...leg }))
+        };
+    }
+
+    // Validate and upgrade a payload. Returns { state, warnings } or { state: null, error } -
+    // never throws, since payloads come from storage and URLs we do not control.
+    deserialize(payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { state: null, error: 'Setup data is not a valid object.' };
+        }
+
+        const version = Number(payload.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return { state: null, error: 'Setup data has no version number.' };
+        }
+        if (version > this.version) {
+            return { state: null, error: `Setup was saved by a newer version (v${version}) of the calculator.` };
+        }
+
+        let upgraded = payload;
+        for (let from = version; from < this.version; from++) {
+            if (!this.migrations[from]) {
+                return { state: null, error: `Setup version v${version} can no longer be loaded.` };
+            }
+            upgraded = this.migrations[from](upgraded);
+        }
+
+        return this.normalize(upgraded);
+    }
+
+    // Fill defaults for missing sections and drop legs that cannot be valued
+    normalize(payload) {
+        const warnings = [];
+        const number = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : fallback;
+        };
+
+        const market = payload.market || {};
+        if (!payload.market) warnings.push('Market inputs were missing; defaults were used.');
+
+        const legs = Array.isArray(payload.legs) ? payload.legs : [];
+        const validLegs = legs.filter(leg => this.isValidLeg(leg)).map(leg => {
+            const restored = {
+                action: leg.action,
+                type: leg.type,
+                strike: number(leg.strike, 0),
+                premium: number(leg.premium, 0),
+                quantity: number(leg.quantity, 1)
+            };
+            // Per-leg expiration, IV and quoted spread are optional
+            if (number(leg.daysToExpiration, -1) >= 0) restored.daysToExpiration = number(leg.daysToExpiration);
+            if (number(leg.volatility, 0) > 0) restored.volatility = number(leg.volatility);
+            if (number(leg.spread, -1) >= 0) restored.spread = number(leg.spread);
+            return restored;
+        });
+        if (validLegs.length < legs.length) {
+            warnings.push(`${legs.length - validLegs.length} invalid leg(s) were skipped.`);
+        }
+
+        const pricing = payload.pricing || {};
+        const smile = payload.smile || {};
+        const fees = payload.fees || {};
+
+        return {
+            state: {
+                strategy: typeof payload.strategy === 'string' ? payload.strategy : 'custom',
+                market: {
+                    stockPrice: number(market.stockPrice, 100),
+                    volatility: number(market.volatility, 25),
+                    riskFreeRate: number(market.riskFreeRate, 5),
+                    daysToExpiration: number(market.daysToExpiration, 30),
+                    dividendYield: number(market.dividendYield, 0),
+                    dividends: (Array.isArray(market.dividends) ? market.dividends : [])
+                        .map(dividend => ({
+                            daysToExDate: number(dividend && dividend.daysToExDate, -1),
+                            amount: number(dividend && dividend.amount, 0)
+                        }))
+                        .filter(dividend => dividend.daysToExDate >= 0 && dividend.amount > 0)
+                },
+                pricing: {
+                    model: typeof pricing.model === 'string' ? pricing.model : 'black-scholes',
+                    treeSteps: number(pricing.treeSteps, 200)
+                },
+                smile: {
+                    enabled: smile.enabled === true,
+                    model: smile.model === 'linear' ? 'linear' : 'quadratic',
+                    points: (Array.isArray(smile.points) ? smile.points : [])
+                        .map(point => ({
+                            strike: number(point && point.strike, 0),
+                            volatility: number(point && point.volatility, 0)
+                        }))
+                        .filter(point => point.strike > 0 && point.volatility > 0)
+                },
+                fees: {
+                    perContract: Math.max(number(fees.perContract, 0), 0),
+                    perOrder: Math.max(number(fees.perOrder, 0), 0),
+                    exchangePerContract: Math.max(number(fees.exchangePerContract, 0), 0),
+                    spread: Math.max(number(fees.spread, 0.05), 0),
+                    slippage: Math.min(Math.max(number(fees.slippage, 0), 0), 100),
+                    includeClosing: fees.includeClosing === true
+                },
+                legs: validLegs
+            },
+            warnings: warnings
+        };
+    }
+
+    isValidLeg(leg) {
+        if (!leg || typeof leg !== 'object') return false;
+        if (!['Buy', 'Sell'].includes(leg.action) || !['Call', 'Put', 'Stock'].includes(leg.type)) return false;
+        if (!(Number(leg.quantity) > 0)) return false;
+        return leg.type === 'Stock' || Number(leg.strike) > 0;
+    }
+
+    // Base64url-encoded JSON so the payload survives being pasted as a link
+    encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.serialize(state)));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decode(encoded) {
+        let payload;
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return { state: null, error: 'The link does not contain a readable setup.' };
+        }
+        return this.deserialize(payload);
+    }
+
+    // URL hash fragment ("setup=...") for a state
+    toHash(state) {
+        return `${this.hashKey}=${this.encode(state)}`;
+    }
+
+    // State from a location hash, or null when the hash carries no setup
+    fromHash(hash) {
+        const fragment = (hash || '').replace(/^#/, '');
+        const prefix = `${this.hashKey}=`;
+        if (!fragment.startsWith(prefix)) return null;
+        return this.decode(fragment.slice(prefix.length));
+    }
+
+    // Saved setups as { name: { savedAt, payload } }; unreadable storage counts as empty
+    readSetups() {
+        if (!this.storage) return {};
+        try {
+            const setups = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return setups && typeof setups === 'object' && !Array.isArray(setups) ? setups : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Returns false when storage is unavailable or full
+    writeSetups(setups) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(setups));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    saveSetup(name, state) {
+        const setups = this.readSetups();
+        setups[name] = { savedAt: new Date().toISOString(), payload: this.serialize(state) };
+        return this.writeSetups(setups);
+    }
+
+    // Setup names and save times, newest first
+    listSetups() {
+        const setups = this.readSetups();
+        return Object.keys(setups)
+            .map(name => ({ name: name, savedAt: setups[name] && setups[name].savedAt }))
+            .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    loadSetup(name) {
+        const setup = this.readSetups()[name];
+        if (!setup) return { state: null, error: `No saved setup named "${name}".` };
+        return this.deserialize(setup.payload);
+    }
+
+    deleteSetup(name) {
+        const setups = this.readSetups();
+        delete setups[name];
+        return this.writeSetups(setups);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SetupStore;
+} else {
+    window.SetupStore = SetupStore;
+}
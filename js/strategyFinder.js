@@ -0,0 +1,258 @@
+// Strategy Finder
+// Enumerates candidate trades from the strategy templates across a ladder of strike shifts and widths,
+// prices them with the model (or imported chain quotes) and scores them against a market view: a lognormal
+// distribution of the underlying whose mean is the target price on the target date. Under an American (tree)
+// model every candidate is screened with Black-Scholes and only the best are repriced with the active model.
+
+class StrategyFinder {
+    constructor(strategies, optionChain) {
+        this.strategies = strategies;
+        this.optionChain = optionChain;
+        this.widthScales = [0.5, 1, 1.5, 2]; // Multiples of each template's strike distances from spot
+        this.neutralDelta = 0.1; // Delta per contract below which a candidate counts as neutral
+        this.refineCount = 20; // Top screened candidates repriced with an American pricing model
+    }
+
+    // outlook: { view: 'bullish' | 'bearish' | 'neutral' | 'any', targetPrice, targetDays, maxRisk,
+    //            ladderSteps, strikeStep, source: 'model' | 'chain', premiumBasis, rankBy, limit, includeStock }
+    // Templates with a stock leg are skipped unless includeStock is set: their expected P&L is mostly the
+    // stock's drift and would crowd out the option structures. Ranks by return on risk unless rankBy is given.
+    // Returns { candidates, evaluated, refined, expirationDays } or { error }
+    find(marketParams, outlook) {
+        const spot = marketParams.currentPrice;
+        const targetPrice = outlook.targetPrice > 0 ? outlook.targetPrice : spot;
+        const targetDays = Math.round(outlook.targetDays);
+        if (!(targetDays > 0)) return { error: 'Target date must be at least one day away.' };
+
+        const useChain = outlook.source === 'chain';
+        if (useChain && this.optionChain.quotes.length === 0) {
+            return { error: 'Import an option chain first, or price candidates with the model.' };
+        }
+
+        // Candidates expire on the target date, or on the first listed expiry after it
+        const expirationDays = useChain ? this.getChainExpiration(targetDays) : targetDays;
+        const baseParams = {
+            ...marketParams,
+            daysToExpiration: expirationDays,
+            timeToExpiration: expirationDays / 365
+        };
+        const horizon = Math.min(targetDays, expirationDays);
+        const stdDev = baseParams.volatility * Math.sqrt(horizon / 365);
+        const distribution = {
+            spot: spot,
+            drift: Math.log(targetPrice / spot) - 0.5 * stdDev * stdDev,
+            stdDev: stdDev
+        };
+
+        const ladderSteps = Math.max(Math.round(outlook.ladderSteps ?? 3), 0);
+        const strikeStep = outlook.strikeStep > 0 ?
+            outlook.strikeStep :
+            Math.max(this.strategies.roundStrike(spot * 0.025, spot), this.strategies.getStrikeIncrement(spot));
+
+        // Screening prices: a tree model is too slow to run on every candidate
+        const isAmerican = this.strategies.isAmericanPricing();
+        const screeningParams = isAmerican ? { ...baseParams, pricingModel: this.strategies.blackScholes } : baseParams;
+
+        const seen = new Set();
+        const candidates = [];
+        let evaluated = 0;
+
+        Object.keys(this.strategies.getAllStrategies()).forEach(key => {
+            if (key === 'custom') return;
+            const baseLegs = this.strategies.getTemplateLegs(key, baseParams);
+            if (baseLegs.length === 0) return;
+            if (!outlook.includeStock && baseLegs.some(leg => leg.type === 'Stock')) return;
+
+            for (let shift = -ladderSteps; shift <= ladderSteps; shift++) {
+                this.widthScales.forEach(scale => {
+                    const placed = this.placeLegs(baseLegs, spot, shift * strikeStep, scale);
+                    if (!placed) return;
+
+                    const legs = useChain ?
+                        this.priceFromChain(placed, expirationDays, outlook.premiumBasis) :
+                        this.priceFromModel(placed, screeningParams);
+                    if (!legs) return;
+
+                    const signature = this.getSignature(legs);
+                    if (seen.has(signature)) return;
+                    seen.add(signature);
+
+                    evaluated++;
+                    const candidate = this.evaluate(key, legs, screeningParams, distribution, horizon, outlook);
+                    if (candidate) candidates.push(candidate);
+                });
+            }
+        });
+
+        const rankBy = outlook.rankBy || 'returnOnRisk';
+        let ranked = this.sortCandidates(candidates, rankBy);
+        let refined = 0;
+        if (isAmerican) {
+            const top = ranked.slice(0, this.refineCount)
+                .map(candidate => this.evaluate(candidate.strategy,
+                    useChain ? candidate.legs : this.priceFromModel(candidate.legs, baseParams),
+                    baseParams, distribution, horizon, outlook))
+                .filter(Boolean);
+            refined = top.length;
+            ranked = [...this.sortCandidates(top, rankBy), ...ranked.slice(this.refineCount)];
+        }
+
+        return {
+            candidates: outlook.limit > 0 ? ranked.slice(0, outlook.limit) : ranked,
+            evaluated: evaluated,
+            refined: refined,
+            expirationDays: expirationDays
+        };
+    }
+
+    // Shift the template's strikes by offset and stretch their distances from spot by scale. Returns null
+    // when the result is degenerate: a non-positive strike, or distinct template strikes that collapse.
+    placeLegs(baseLegs, spot, offset, scale) {
+        const optionLegs = baseLegs.filter(leg => leg.type !== 'Stock');
+        const rawStrikes = optionLegs.map(leg => spot + offset + (leg.strike - spot) * scale);
+        if (rawStrikes.some(strike => !(strike > 0))) return null;
+
+        const legs = baseLegs.map(leg => (leg.type === 'Stock' ? { ...leg } : {
+            ...leg,
+            strike: this.strategies.roundStrike(spot + offset + (leg.strike - spot) * scale, spot)
+        }));
+        const distinct = list => new Set(list.filter(leg => leg.type !== 'Stock').map(leg => leg.strike)).size;
+        if (distinct(legs) !== distinct(optionLegs)) return null;
+        return legs;
+    }
+
+    // Theoretical premiums from the active pricing model, to the cent
+    priceFromModel(legs, marketParams) {
+        return legs.map(leg => (leg.type === 'Stock' ? leg : {
+            ...leg,
+            premium: Math.round(this.strategies.calculateLegValue(leg, marketParams.currentPrice, marketParams) * 100) / 100
+        }));
+    }
+
+    // Snap each option leg to the nearest listed strike of its expiry and take the quoted premium;
+    // null when a leg has no usable quote
+    priceFromChain(legs, expirationDays, basis = 'mid') {
+        const priced = [];
+        for (const leg of legs) {
+            if (leg.type === 'Stock') {
+                priced.push(leg);
+                continue;
+            }
+
+            const isBackMonth = leg.daysToExpiration !== undefined && leg.daysToExpiration > expirationDays;
+            const days = isBackMonth ? this.getChainExpiration(leg.daysToExpiration, expirationDays) : expirationDays;
+            if (days === null) return null;
+
+            const quotes = this.optionChain.quotes.filter(quote => quote.daysToExpiration === days && quote.type === leg.type);
+            if (quotes.length === 0) return null;
+            const quote = quotes.reduce((best, candidate) =>
+                Math.abs(candidate.strike - leg.strike) < Math.abs(best.strike - leg.strike) ? candidate : best);
+            const premium = this.optionChain.getPremium(quote, basis);
+            if (premium === null) return null;
+
+            const pricedLeg = { ...leg, strike: quote.strike, premium: parseFloat(premium.toFixed(2)) };
+            delete pricedLeg.daysToExpiration;
+            if (isBackMonth) pricedLeg.daysToExpiration = days;
+            if (quote.iv) pricedLeg.volatility = quote.iv;
+            if (quote.bid !== null && quote.ask !== null) pricedLeg.spread = Math.round((quote.ask - quote.bid) * 100) / 100;
+            priced.push(pricedLeg);
+        }
+
+        // Snapping can also collapse a spread onto a single strike
+        const optionLegs = priced.filter(leg => leg.type !== 'Stock');
+        const collapsed = optionLegs.some((leg, i) => optionLegs.some((other, j) => j > i &&
+            other.type === leg.type && other.strike === leg.strike && other.action !== leg.action &&
+            other.daysToExpiration === leg.daysToExpiration));
+        return collapsed ? null : priced;
+    }
+
+    // Days of the first chain expiry on or after the wanted day (strictly after `after`, for back months),
+    // falling back to the last listed expiry
+    getChainExpiration(days, after = -1) {
+        const expirations = [...new Set(this.optionChain.quotes.map(quote => quote.daysToExpiration))]
+            .filter(expiration => expiration > after)
+            .sort((a, b) => a - b);
+        if (expirations.length === 0) return null;
+        return expirations.find(expiration => expiration >= days) ?? expirations[expirations.length - 1];
+    }
+
+    getSignature(legs) {
+        return legs
+            .map(leg => `${leg.action}:${leg.type}:${leg.strike}:${leg.quantity}:${leg.daysToExpiration ?? ''}`)
+            .sort()
+            .join('|');
+    }
+
+    // Direction from the entry delta per contract (stock counts in round lots)
+    getDirection(legs, marketParams) {
+        const delta = this.strategies.calculateStrategyGreeks(legs, marketParams).delta;
+        const contracts = legs.reduce((sum, leg) =>
+            sum + (leg.type === 'Stock' ? leg.quantity / this.strategies.contractMultiplier : leg.quantity), 0);
+        const deltaPerContract = contracts > 0 ? delta / contracts : 0;
+
+        if (deltaPerContract > this.neutralDelta) return 'bullish';
+        if (deltaPerContract < -this.neutralDelta) return 'bearish';
+        return 'neutral';
+    }
+
+    // Score one candidate against the view, or null when it does not fit the outlook or risk limit
+    evaluate(strategyKey, legs, marketParams, distribution, horizon, outlook) {
+        const direction = this.getDirection(legs, marketParams);
+        if (outlook.view && outlook.view !== 'any' && direction !== outlook.view) return null;
+
+        const keyMetrics = this.strategies.calculateKeyMetrics(legs, marketParams);
+        const maxLoss = keyMetrics.maxLoss;
+        if (outlook.maxRisk > 0 && (maxLoss === 'Unlimited' || maxLoss > outlook.maxRisk)) return null;
+
+        const valuationParams = { ...marketParams, daysElapsed: horizon };
+        let outcome;
+        if (distribution.stdDev > 0) {
+            outcome = this.strategies.integratePL(legs, distribution, valuationParams);
+        } else {
+            const [pl] = this.strategies.calculateStrategyPL(legs, [distribution.spot * Math.exp(distribution.drift)], valuationParams);
+            outcome = { probabilityOfProfit: pl > 0 ? 1 : 0, expectedPL: pl };
+        }
+
+        return {
+            strategy: strategyKey,
+            name: this.strategies.getStrategy(strategyKey).name,
+            legs: legs,
+            direction: direction,
+            netCost: keyMetrics.totalCost,
+            maxProfit: keyMetrics.maxProfit,
+            maxLoss: maxLoss,
+            probabilityOfProfit: outcome.probabilityOfProfit,
+            expectedPL: outcome.expectedPL,
+            returnOnRisk: typeof maxLoss === 'number' && maxLoss > 0 ? outcome.expectedPL / maxLoss : null
+        };
+    }
+
+    // Highest first for numeric columns; 'Unlimited' ranks above any amount and missing values last
+    sortCandidates(candidates, key, descending = true) {
+        const value = candidate => {
+            const raw = candidate[key];
+            if (raw === 'Unlimited') return Infinity;
+            if (raw === null || raw === undefined) return null;
+            return raw;
+        };
+
+        return [...candidates].sort((a, b) => {
+            if (typeof a[key] === 'string' && typeof b[key] === 'string' && a[key] !== 'Unlimited' && b[key] !== 'Unlimited') {
+                return descending ? b[key].localeCompare(a[key]) : a[key].localeCompare(b[key]);
+            }
+            const x = value(a);
+            const y = value(b);
+            if (x === null && y === null) return 0;
+            if (x === null) return 1;
+            if (y === null) return -1;
+            return descending ? y - x : x - y;
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyFinder;
+} else {
+    window.StrategyFinder = StrategyFinder;
+}
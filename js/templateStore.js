@@ -0,0 +1,95 @@
+// User-Defined Strategy Templates
+// Keeps templates in the same declarative format as the built-in strategies, saved by name in localStorage.
+// Each template is registered with OptionsStrategies under a "user:" key so it can be selected like any other.
+
+class TemplateStore {
+    constructor(strategies, storage = null) {
+        this.strategies = strategies;
+        this.storage = storage;
+        this.storageKey = 'optionsCalculator.templates';
+        this.keyPrefix = 'user:';
+    }
+
+    getStrategyKey(name) {
+        return `${this.keyPrefix}${name}`;
+    }
+
+    isUserKey(strategyKey) {
+        return String(strategyKey).startsWith(this.keyPrefix);
+    }
+
+    // Saved templates as { name: template }; unreadable storage counts as empty
+    readTemplates() {
+        if (!this.storage) return {};
+        try {
+            const templates = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return templates && typeof templates === 'object' && !Array.isArray(templates) ? templates : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Returns false when storage is unavailable or full
+    writeTemplates(templates) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(templates));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Register every stored template that still validates. Returns the names that were skipped.
+    registerAll() {
+        const templates = this.readTemplates();
+        const skipped = [];
+        Object.keys(templates).forEach(name => {
+            const result = this.strategies.validateTemplate(templates[name]);
+            if (result.template) {
+                this.strategies.registerStrategy(this.getStrategyKey(result.template.name), result.template);
+            } else {
+                skipped.push(name);
+            }
+        });
+        return skipped;
+    }
+
+    // Validate, store and register a template. Returns { key, template } or { error }
+    saveTemplate(template) {
+        const result = this.strategies.validateTemplate(template);
+        if (result.error) return result;
+
+        const templates = this.readTemplates();
+        templates[result.template.name] = result.template;
+        if (!this.writeTemplates(templates)) {
+            return { error: 'Could not save: browser storage is unavailable or full.' };
+        }
+
+        const key = this.getStrategyKey(result.template.name);
+        this.strategies.registerStrategy(key, result.template);
+        return { key: key, template: result.template };
+    }
+
+    deleteTemplate(name) {
+        const templates = this.readTemplates();
+        delete templates[name];
+        this.strategies.unregisterStrategy(this.getStrategyKey(name));
+        return this.writeTemplates(templates);
+    }
+
+    // Registered user templates as [{ key, template }], sorted by name
+    listTemplates() {
+        return Object.keys(this.strategies.getAllStrategies())
+            .filter(key => this.isUserKey(key))
+            .map(key => ({ key: key, template: this.strategies.getStrategy(key) }))
+            .sort((a, b) => a.template.name.localeCompare(b.template.name));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateStore;
+} else {
+    window.TemplateStore = TemplateStore;
+}
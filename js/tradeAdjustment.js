@@ -0,0 +1,245 @@
+// Trade Adjustments and Rolls
+// Records a position at its entry premiums, then simulates an adjustment: closing some or all of each leg at a
+// chosen (or theoretical) price and opening new legs. Realized P&L and fees carry forward, so the payoff of the
+// adjusted position is measured from the original entry and can be overlaid on the unadjusted one.
+// The recorded position and its adjustment history are kept in localStorage so they survive a reload.
+
+class TradeAdjustment {
+    constructor(strategies, storage = null) {
+        this.strategies = strategies;
+        this.storage = storage;
+        this.storageKey = 'optionsCalculator.adjustment';
+        this.position = null;
+    }
+
+    // Returns false when storage is unavailable or full
+    save() {
+        if (!this.storage) return false;
+        try {
+            if (this.position) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.position));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Load the stored position, dropping legs that cannot be valued; unreadable storage leaves none recorded
+    restore() {
+        this.position = null;
+        if (!this.storage) return null;
+
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+        if (!stored || typeof stored !== 'object' || !Array.isArray(stored.legs)) return null;
+
+        const number = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+        const legs = stored.legs.filter(leg => leg && typeof leg === 'object' &&
+            ['Buy', 'Sell'].includes(leg.action) && ['Call', 'Put', 'Stock'].includes(leg.type) &&
+            this.strategies.isValidLeg(leg));
+        if (legs.length === 0) return null;
+
+        this.position = {
+            legs: legs.map(leg => ({ ...leg })),
+            realized: number(stored.realized),
+            feesPaid: number(stored.feesPaid),
+            adjustments: Array.isArray(stored.adjustments) ? stored.adjustments : []
+        };
+        return this.position;
+    }
+
+    // Copy of a leg with its expiry fixed in days, so it no longer follows the global expiration input
+    pinExpiration(leg, marketParams) {
+        if (leg.type === 'Stock') return { ...leg };
+        return { ...leg, daysToExpiration: this.strategies.getLegDaysToExpiration(leg, marketParams) };
+    }
+
+    // Start tracking legs as opened at their premiums and expiries. Opening fees are paid on entry.
+    // position: { legs, realized, feesPaid, adjustments }
+    record(legs, marketParams) {
+        const validLegs = legs.filter(leg => this.strategies.isValidLeg(leg)).map(leg => this.pinExpiration(leg, marketParams));
+        if (validLegs.length === 0) return null;
+
+        this.position = {
+            legs: validLegs,
+            realized: 0,
+            feesPaid: this.strategies.calculateTransactionCosts(validLegs, marketParams.fees).opening,
+            adjustments: []
+        };
+        this.save();
+        return this.position;
+    }
+
+    clear() {
+        this.position = null;
+        this.save();
+    }
+
+    // Current model value of one unit of a leg, to the cent (stock legs are worth spot)
+    getTheoreticalPrice(leg, marketParams) {
+        return Math.round(this.strategies.calculateLegValue(leg, marketParams.currentPrice, marketParams) * 100) / 100;
+    }
+
+    // Simulate a plan against the recorded position. plan: { closes: [{ index, quantity, price }], opens: [leg] }
+    // where a null price or premium means "at the theoretical value". Returns the priced closes and opens,
+    // the legs before and after, this adjustment's realized P&L, net credit and fees, and both positions'
+    // greeks and key metrics measured from the original entry.
+    calculate(plan, marketParams) {
+        if (!this.position) return null;
+
+        const sign = leg => (leg.action === 'Buy' ? 1 : -1);
+        const units = leg => leg.quantity * this.strategies.getLegMultiplier(leg);
+        const before = this.position.legs;
+
+        const closes = (plan.closes || [])
+            .map(close => ({ ...close, leg: before[close.index] }))
+            .filter(close => close.leg && close.quantity > 0)
+            .map(close => {
+                const quantity = Math.min(close.quantity, close.leg.quantity);
+                const price = close.price !== null && close.price !== undefined && close.price >= 0 ?
+                    close.price :
+                    this.getTheoreticalPrice(close.leg, marketParams);
+                const closed = { ...close.leg, quantity: quantity };
+                return {
+                    index: close.index,
+                    leg: close.leg,
+                    quantity: quantity,
+                    price: price,
+                    realized: sign(close.leg) * (price - close.leg.premium) * units(closed),
+                    proceeds: sign(close.leg) * price * units(closed),
+                    trade: { ...closed, action: close.leg.action === 'Buy' ? 'Sell' : 'Buy', premium: price }
+                };
+            });
+
+        const opened = (plan.opens || [])
+            .filter(leg => this.strategies.isValidLeg({ ...leg, premium: 0 }))
+            .map(leg => {
+                const premium = leg.premium !== null && leg.premium !== undefined && leg.premium >= 0 ?
+                    leg.premium :
+                    this.getTheoreticalPrice(leg, marketParams);
+                return { ...this.pinExpiration(leg, marketParams), premium: premium };
+            });
+
+        // Legs left open after the closes, at their original entry premiums
+        const remaining = before
+            .map((leg, index) => {
+                const closedQuantity = closes
+                    .filter(close => close.index === index)
+                    .reduce((sum, close) => sum + close.quantity, 0);
+                return { ...leg, quantity: leg.quantity - closedQuantity };
+            })
+            .filter(leg => leg.quantity > 0);
+        const after = [...remaining, ...opened];
+
+        const trades = [...closes.map(close => close.trade), ...opened];
+        const adjustmentFees = trades.length > 0 ?
+            this.strategies.calculateTransactionCosts(trades, marketParams.fees).opening :
+            0;
+        const realized = closes.reduce((sum, close) => sum + close.realized, 0);
+        const credit = closes.reduce((sum, close) => sum + close.proceeds, 0) -
+            opened.reduce((sum, leg) => sum + sign(leg) * leg.premium * units(leg), 0);
+
+        const beforeOffset = this.position.realized - this.position.feesPaid;
+        const afterOffset = beforeOffset + realized - adjustmentFees;
+
+        return {
+            closes: closes,
+            opened: opened,
+            before: before,
+            after: after,
+            realized: realized,
+            realizedToDate: this.position.realized + realized,
+            credit: credit,
+            adjustmentFees: adjustmentFees,
+            feesToDate: this.position.feesPaid + adjustmentFees,
+            beforeOffset: beforeOffset,
+            afterOffset: afterOffset,
+            greeks: {
+                before: this.strategies.calculateStrategyGreeks(before, marketParams),
+                after: this.strategies.calculateStrategyGreeks(after, marketParams)
+            },
+            metrics: {
+                before: this.calculateMetrics(before, beforeOffset, marketParams),
+                after: this.calculateMetrics(after, afterOffset, marketParams)
+            }
+        };
+    }
+
+    // Closing fees still to pay on legs that are open (only when the fee model includes closing)
+    getExitFees(legs, marketParams) {
+        const fees = marketParams.fees;
+        if (!fees || !fees.includeClosing || legs.length === 0) return 0;
+        return this.strategies.calculateTransactionCosts(legs, fees).opening;
+    }
+
+    // P&L of open legs from the original entry: their mark-to-model value, plus realized P&L, less every fee
+    // paid so far (offset) and the fees to close what is still open
+    calculatePL(legs, offset, spotPrices, valuationParams) {
+        const exitFees = this.getExitFees(legs, valuationParams);
+        return this.strategies.calculateStrategyPL(legs, spotPrices, { ...valuationParams, fees: null })
+            .map(pl => pl + offset - exitFees);
+    }
+
+    // Max profit and loss at (front) expiration, shifted by realized P&L and fees
+    calculateMetrics(legs, offset, marketParams) {
+        const shift = offset - this.getExitFees(legs, marketParams);
+        if (legs.length === 0) {
+            return { maxProfit: Math.max(shift, 0), maxLoss: Math.max(-shift, 0) };
+        }
+
+        const metrics = this.strategies.calculateKeyMetrics(legs, { ...marketParams, fees: null });
+        const maxProfit = metrics.maxProfit === 'Unlimited' ? 'Unlimited' : metrics.maxProfit + shift;
+        return {
+            maxProfit: maxProfit,
+            maxLoss: metrics.maxLoss === 'Unlimited' ? 'Unlimited' : Math.max(metrics.maxLoss - shift, 0)
+        };
+    }
+
+    // Before/after payoff curves at each position's front expiration, and the adjusted position today
+    calculatePayoffs(result, spotPrices, marketParams) {
+        const beforeExpiration = this.strategies.getExpirationParams(result.before, marketParams);
+        const afterExpiration = this.strategies.getExpirationParams(result.after, marketParams);
+        return {
+            before: this.calculatePL(result.before, result.beforeOffset, spotPrices, beforeExpiration),
+            beforeDays: beforeExpiration.daysElapsed,
+            after: this.calculatePL(result.after, result.afterOffset, spotPrices, afterExpiration),
+            afterDays: afterExpiration.daysElapsed,
+            afterToday: this.calculatePL(result.after, result.afterOffset, spotPrices, marketParams)
+        };
+    }
+
+    // Make the simulated adjustment the recorded position; realized P&L and fees accumulate
+    apply(plan, marketParams) {
+        const result = this.calculate(plan, marketParams);
+        if (!result) return null;
+
+        this.position = {
+            legs: result.after.map(leg => ({ ...leg })),
+            realized: result.realizedToDate,
+            feesPaid: result.feesToDate,
+            adjustments: [...this.position.adjustments, {
+                closes: result.closes.map(({ index, quantity, price, realized }) => ({ index, quantity, price, realized })),
+                opened: result.opened.map(leg => ({ ...leg })),
+                realized: result.realized,
+                credit: result.credit,
+                fees: result.adjustmentFees
+            }]
+        };
+        this.save();
+        return result;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeAdjustment;
+} else {
+    window.TradeAdjustment = TradeAdjustment;
+}
@@ -0,0 +1,155 @@
+// Volatility Smile Model
+// Turns a handful of user-entered (strike, IV) quotes into an IV for any strike.
+// The smile is sticky-strike: a strike keeps its IV as the underlying moves. The reference price only centres
+// the fit and is set when the quotes are (re)entered, not when the stock price changes.
+
+class VolatilitySmile {
+    constructor() {
+        this.points = []; // [{ strike, volatility }] with volatility as a decimal
+        this.model = 'quadratic'; // 'linear' | 'quadratic'
+        this.referencePrice = 100;
+        this.coefficients = null;
+        this.minVolatility = 0.01;
+    }
+
+    // Replace the quoted points and refit
+    setPoints(points, referencePrice) {
+        this.points = points
+            .filter(point => point.strike > 0 && point.volatility > 0)
+            .sort((a, b) => a.strike - b.strike);
+        this.referencePrice = referencePrice || this.referencePrice;
+        this.fit();
+    }
+
+    setModel(model) {
+        this.model = model;
+        this.fit();
+    }
+
+    isActive() {
+        return this.points.length > 0;
+    }
+
+    // Log-moneyness of a strike against the reference price
+    getMoneyness(strike) {
+        return Math.log(strike / this.referencePrice);
+    }
+
+    // Least-squares fit of IV = a + b*k + c*k^2 in log-moneyness k (needs 3+ distinct strikes)
+    fit() {
+        this.coefficients = null;
+        if (this.model !== 'quadratic' || this.points.length < 3) return;
+
+        // Normal equations for the quadratic
+        const sums = [0, 0, 0, 0, 0];
+        const targets = [0, 0, 0];
+        this.points.forEach(point => {
+            const k = this.getMoneyness(point.strike);
+            for (let power = 0; power < 5; power++) {
+                sums[power] += Math.pow(k, power);
+            }
+            for (let power = 0; power < 3; power++) {
+                targets[power] += point.volatility * Math.pow(k, power);
+            }
+        });
+
+        const matrix = [
+            [sums[0], sums[1], sums[2]],
+            [sums[1], sums[2], sums[3]],
+            [sums[2], sums[3], sums[4]]
+        ];
+        this.coefficients = this.solveLinearSystem(matrix, targets);
+    }
+
+    // Gaussian elimination with partial pivoting; returns null for a singular system
+    solveLinearSystem(matrix, targets) {
+        const size = targets.length;
+        const rows = matrix.map((row, index) => [...row, targets[index]]);
+
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let row = column + 1; row < size; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k <= size; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = rows[row][size];
+            for (let k = row + 1; k < size; k++) {
+                sum -= rows[row][k] * solution[k];
+            }
+            solution[row] = sum / rows[row][row];
+        }
+        return solution;
+    }
+
+    // Linear interpolation between quoted strikes, flat beyond the wings
+    interpolate(strike) {
+        const points = this.points;
+        if (strike <= points[0].strike) return points[0].volatility;
+        if (strike >= points[points.length - 1].strike) return points[points.length - 1].volatility;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const left = points[i];
+            const right = points[i + 1];
+            if (strike <= right.strike) {
+                const ratio = (strike - left.strike) / (right.strike - left.strike);
+                return left.volatility + (right.volatility - left.volatility) * ratio;
+            }
+        }
+        return points[points.length - 1].volatility;
+    }
+
+    // Fitted quadratic inside the quoted strikes; beyond them it continues along the tangent at the outermost
+    // quote, so the wings grow linearly in log-moneyness instead of curving away
+    evaluateQuadratic(strike) {
+        const [a, b, c] = this.coefficients;
+        const lowest = this.getMoneyness(this.points[0].strike);
+        const highest = this.getMoneyness(this.points[this.points.length - 1].strike);
+        const k = this.getMoneyness(strike);
+        const edge = Math.min(Math.max(k, lowest), highest);
+        return a + b * edge + c * edge * edge + (b + 2 * c * edge) * (k - edge);
+    }
+
+    // IV for a strike, or null when no quotes have been entered
+    getVolatility(strike) {
+        if (!this.isActive() || !(strike > 0)) return null;
+
+        let volatility;
+        if (this.coefficients) {
+            volatility = this.evaluateQuadratic(strike);
+        } else {
+            volatility = this.interpolate(strike);
+        }
+
+        return Math.max(volatility, this.minVolatility);
+    }
+
+    // Sample the fitted smile for charting
+    getCurve(minStrike, maxStrike, count = 50) {
+        const curve = [];
+        const step = (maxStrike - minStrike) / (count - 1);
+        for (let i = 0; i < count; i++) {
+            const strike = minStrike + step * i;
+            curve.push({ strike, volatility: this.getVolatility(strike) });
+        }
+        return curve;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolatilitySmile;
+} else {
+    window.VolatilitySmile = VolatilitySmile;
+}